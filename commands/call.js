@@ -0,0 +1,138 @@
+import fs from "fs";
+import { InvalidArgumentError } from "commander";
+import { discoverTools } from "../lib/tools.js";
+import { runTool } from "../lib/calls.js";
+import { configureLogger } from "../lib/logger.js";
+import { summarizeResult, toStructuredContent } from "../lib/results.js";
+
+const FORMATS = ["json", "table", "ndjson"];
+const MAX_CELL_WIDTH = 40;
+
+/**
+ * Parses repeated `--arg key=value` options. Values starting with `{` or
+ * `[` are read as JSON; everything else stays a string and is coerced by
+ * argument validation like values sent by a model. A key given more than
+ * once collects its values into an array.
+ */
+function collectArg(pair, previous) {
+  const separator = pair.indexOf("=");
+  if (separator <= 0) {
+    throw new InvalidArgumentError(`Expected key=value, got "${pair}".`);
+  }
+  const key = pair.slice(0, separator);
+  let value = pair.slice(separator + 1);
+  if (/^[[{]/.test(value.trim())) {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      // Not JSON after all; keep the string
+    }
+  }
+  const args = { ...previous };
+  args[key] = key in args ? [].concat(args[key], value) : value;
+  return args;
+}
+
+function readArgsFile(file) {
+  const text = fs.readFileSync(file === "-" ? 0 : file, "utf8");
+  const args = JSON.parse(text);
+  if (!args || typeof args !== "object" || Array.isArray(args)) {
+    throw new Error(`${file} must contain a JSON object of arguments`);
+  }
+  return args;
+}
+
+function cell(value) {
+  if (value === undefined || value === null) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return text.length > MAX_CELL_WIDTH ? `${text.slice(0, MAX_CELL_WIDTH - 3)}...` : text;
+}
+
+function renderTable(rows, columns) {
+  const cells = rows.map((row) => columns.map((column) => cell(row[column])));
+  const widths = columns.map((column, index) =>
+    Math.max(column.length, ...cells.map((row) => row[index].length))
+  );
+  const line = (values) => values.map((value, index) => value.padEnd(widths[index])).join("  ").trimEnd();
+  return [line(columns), line(widths.map((width) => "-".repeat(width))), ...cells.map(line)].join("\n");
+}
+
+/**
+ * Renders a result as a table: one row per record for lists, otherwise one
+ * row per field. Nested values are shown as truncated JSON.
+ */
+function formatTable(result) {
+  const records = Array.isArray(result.data) ? result.data : null;
+  if (!records) {
+    const fields = Object.entries(result.data && typeof result.data === "object" ? result.data : result);
+    return renderTable(fields.map(([field, value]) => ({ field, value })), ["field", "value"]);
+  }
+  if (records.length === 0) return "(no records)";
+
+  const columns = [...new Set(records.flatMap((record) => Object.keys(record ?? {})))];
+  return renderTable(records, columns);
+}
+
+function formatOutput(result, format) {
+  const structured = toStructuredContent(result);
+  if (typeof structured !== "object" || structured === null) return String(structured);
+  if (format === "table") return formatTable(structured);
+  if (format === "ndjson") {
+    const records = Array.isArray(structured?.data) ? structured.data : [structured];
+    return records.map((record) => JSON.stringify(record)).join("\n");
+  }
+  return JSON.stringify(structured, null, 2);
+}
+
+export function registerCallCommand(program) {
+  program
+    .command("call")
+    .description("Call a tool directly, with the same validation and result handling as the MCP server")
+    .argument("<tool>", "Tool name (see the tools command)")
+    .option("-a, --arg <key=value>", "Tool argument (repeatable); JSON values are allowed", collectArg, {})
+    .option("-f, --args-file <file>", "JSON file with tool arguments ('-' reads stdin); --arg values override it")
+    .option("-s, --store <alias>", "Store alias to call")
+    .option("--all-pages", "Fetch every page (list tools that support all_pages)")
+    .option("--format <format>", `Output format: ${FORMATS.join(", ")}`, "json")
+    .action(async (toolName, options) => {
+      // stdout is reserved for the result
+      configureLogger({ stdio: true });
+      try {
+        if (!FORMATS.includes(options.format)) {
+          throw new Error(`Unknown format "${options.format}", expected one of ${FORMATS.join(", ")}`);
+        }
+
+        const tools = await discoverTools();
+        const tool = tools.find((t) => t.definition.function.name === toolName);
+        if (!tool) {
+          throw new Error(`Unknown tool: ${toolName}`);
+        }
+
+        const args = {
+          ...(options.argsFile ? readArgsFile(options.argsFile) : {}),
+          ...options.arg,
+          ...(options.store ? { store: options.store } : {}),
+          ...(options.allPages ? { all_pages: true } : {}),
+        };
+
+        const result = await runTool(tool, args);
+        if (result?.error) {
+          const { error, ...details } = result;
+          console.error(`Error: ${error}`);
+          if (Object.values(details).some((value) => value !== undefined)) {
+            console.error(JSON.stringify(details, null, 2));
+          }
+          process.exitCode = 1;
+          return;
+        }
+
+        console.log(formatOutput(result, options.format));
+        if (result && typeof result === "object") {
+          console.error(summarizeResult(result));
+        }
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+      }
+    });
+}
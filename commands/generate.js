@@ -0,0 +1,117 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { discoverTools } from "../lib/tools.js";
+import {
+  basePath,
+  describeOperation,
+  libImportPath,
+  listOperations,
+  loadSpec,
+  renderToolModule,
+  selectOperations,
+  toolFileName,
+} from "../lib/openapi.js";
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const toolsDir = path.join(rootDir, "tools");
+const libDir = path.join(rootDir, "lib");
+
+function collect(value, previous) {
+  return previous.concat(value.split(",").map((item) => item.trim()).filter(Boolean));
+}
+
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+function printOperations(operations) {
+  for (const op of operations) {
+    const tags = op.tags.length > 0 ? ` [${op.tags.join(", ")}]` : "";
+    console.log(`  ${op.operationId}: ${op.method} ${op.path}${tags}`);
+    if (op.summary) console.log(`    ${op.summary}`);
+  }
+}
+
+export function registerGenerateCommand(program) {
+  program
+    .command("generate")
+    .description("Generate tool modules from a BigCommerce OpenAPI specification (YAML or JSON)")
+    .argument("<spec>", "Path to the OpenAPI specification file")
+    .option("-o, --operation <ids>", "operationId or tool name to generate (repeatable, comma-separated)", collect, [])
+    .option("-t, --tag <tags>", "Generate every operation with this tag (repeatable, comma-separated)", collect, [])
+    .option("--all", "Generate every operation in the specification")
+    .option("--list", "List the operations of the specification without generating anything")
+    .option("-c, --collection <name>", "Collection directory under tools/bigcommerce (default: from the spec title)")
+    .option("--category <name>", "Access category of the generated tools (default: from each path)")
+    .option("--prefix <prefix>", "Prefix for the generated tool names", "")
+    .option("--base-path <path>", "API path prefix such as /v3 (default: from the spec's server URL)")
+    .option("--force", "Overwrite existing tool files")
+    .action(async (specFile, options) => {
+      try {
+        await generate(specFile, options);
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+      }
+    });
+}
+
+async function generate(specFile, options) {
+  const spec = loadSpec(specFile);
+  const operations = listOperations(spec);
+
+  if (options.list) {
+    console.log(`\nOperations in ${specFile}:\n`);
+    printOperations(operations);
+    return;
+  }
+
+  if (!options.all && options.operation.length === 0 && options.tag.length === 0) {
+    console.error("Select operations with --operation, --tag or --all (see --list).");
+    process.exitCode = 1;
+    return;
+  }
+
+  const selected = selectOperations(operations, {
+    operations: options.operation,
+    tags: options.tag,
+    all: options.all,
+  });
+  const prefixPath = options.basePath ?? basePath(spec);
+  const collection = options.collection || slug(spec.info?.title || path.basename(specFile, path.extname(specFile)));
+  const outDir = path.join(toolsDir, "bigcommerce", collection);
+  const libPath = libImportPath(outDir, libDir);
+
+  const existing = new Map(
+    (await discoverTools()).map((tool) => [tool.definition.function.name, tool.path])
+  );
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const generated = [];
+  for (const op of selected) {
+    const tool = describeOperation(spec, op, {
+      basePath: prefixPath,
+      category: options.category,
+      prefix: options.prefix,
+    });
+    const relativePath = `bigcommerce/${collection}/${toolFileName(tool)}`;
+    const file = path.join(toolsDir, relativePath);
+
+    const owner = existing.get(tool.name);
+    if (owner && owner !== relativePath) {
+      console.error(`Skipping ${op.operationId}: tool ${tool.name} already exists in tools/${owner} (use --prefix)`);
+      continue;
+    }
+    if (fs.existsSync(file) && !options.force) {
+      console.error(`Skipping ${op.operationId}: tools/${relativePath} exists (use --force to overwrite)`);
+      continue;
+    }
+
+    fs.writeFileSync(file, renderToolModule(tool, { libPath, source: path.basename(specFile) }));
+    generated.push(relativePath);
+    console.log(`  ${tool.name}${tool.write ? " (write)" : ""} -> tools/${relativePath}`);
+  }
+
+  console.log(`\nGenerated ${generated.length} of ${selected.length} tools; they are loaded the next time the server starts.`);
+}
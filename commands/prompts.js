@@ -0,0 +1,28 @@
+import { listPrompts } from "../lib/prompts.js";
+
+export function registerPromptsCommand(program) {
+  program
+    .command("prompts")
+    .description("List all available prompt templates")
+    .action(() => {
+      const prompts = listPrompts();
+
+      console.log("\nAvailable Prompts:\n");
+
+      prompts.forEach(({ name, description, arguments: args }) => {
+        console.log(`  ${name}`);
+        console.log(`    Description: ${description || "No description provided"}`);
+        if (args?.length) {
+          console.log("    Arguments:");
+          args.forEach(({ name, description, required }) => {
+            console.log(
+              `      - ${name}${required ? " (required)" : ""}: ${
+                description || "No description"
+              }`
+            );
+          });
+        }
+        console.log("");
+      });
+    });
+}
@@ -1,65 +1,160 @@
-import { discoverTools } from "../lib/tools.js";
+import { discoverTools, isWriteTool, matchesPattern, toMcpTool } from "../lib/tools.js";
+import { configureLogger } from "../lib/logger.js";
+
+const FORMATS = ["text", "mcp", "openai", "anthropic", "markdown"];
+
+/**
+ * Workspace and collection of a tool, taken from the directories of its
+ * path: tools/<workspace>/<collection>/<request>.js.
+ */
+function locationOf(tool) {
+  const directories = tool.path.split("/").slice(0, -1);
+  return {
+    workspace: directories[0] || "Unknown Workspace",
+    collection: directories.slice(1).join("/") || "Unknown Collection",
+  };
+}
+
+function filterTools(tools, { workspace, collection, name }) {
+  return tools.filter((tool) => {
+    const location = locationOf(tool);
+    if (workspace && location.workspace !== workspace) return false;
+    if (collection && location.collection !== collection) return false;
+    return !name || matchesPattern(tool.definition.function.name, name);
+  });
+}
+
+function toOpenAiTool(tool) {
+  const { name, description, parameters } = tool.definition.function;
+  return { type: "function", function: { name, description, parameters } };
+}
+
+function toAnthropicTool(tool) {
+  const { name, description, parameters } = tool.definition.function;
+  return { name, description, input_schema: parameters };
+}
+
+// Keeps a value on one table row
+function markdownCell(text) {
+  return String(text ?? "").replace(/\s+/g, " ").replace(/\|/g, "\\|").trim();
+}
+
+/**
+ * Renders a Markdown reference table. Required parameters are marked with
+ * an asterisk.
+ */
+function formatMarkdown(tools) {
+  const lines = [
+    "| Tool | Category | Access | Description | Parameters |",
+    "| --- | --- | --- | --- | --- |",
+  ];
+  for (const tool of tools) {
+    const { name, description, parameters } = tool.definition.function;
+    const required = parameters?.required ?? [];
+    const params = Object.keys(parameters?.properties ?? {})
+      .map((param) => `\`${param}\`${required.includes(param) ? "*" : ""}`)
+      .join(", ");
+    const access = isWriteTool(tool) ? "write" : "read";
+    lines.push(
+      `| \`${name}\` | ${markdownCell(tool.category)} | ${access} | ${markdownCell(description)} | ${params} |`
+    );
+  }
+  return lines.join("\n");
+}
+
+function printTree(tools) {
+  console.log("\nAvailable Tools:\n");
+
+  // Group tools by workspace/collection
+  const groupedTools = tools.reduce((acc, tool) => {
+    const { workspace, collection } = locationOf(tool);
+
+    if (!acc[workspace]) acc[workspace] = {};
+    if (!acc[workspace][collection]) acc[workspace][collection] = [];
+
+    acc[workspace][collection].push(tool);
+    return acc;
+  }, {});
+
+  // Print tools in a hierarchical structure
+  for (const [workspace, collections] of Object.entries(groupedTools)) {
+    console.log(`Workspace: ${workspace}`);
+    for (const [collection, tools] of Object.entries(collections)) {
+      console.log(`  Collection: ${collection}`);
+      tools.forEach(
+        ({
+          definition: {
+            function: { name, description, parameters },
+          },
+        }) => {
+          console.log(`    ${name}`);
+          console.log(
+            `      Description: ${description || "No description provided"}`
+          );
+          if (parameters?.properties) {
+            console.log("      Parameters:");
+            Object.entries(parameters.properties).forEach(
+              ([name, details]) => {
+                console.log(
+                  `        - ${name}: ${
+                    details.description || "No description"
+                  }`
+                );
+              }
+            );
+          }
+          console.log("");
+        }
+      );
+    }
+    console.log("");
+  }
+}
 
 export function registerToolsCommand(program) {
   program
     .command("tools")
-    .description("List all available API tools")
-    .action(async () => {
-      const tools = await discoverTools();
-      if (tools.length === 0) {
+    .description("List all available API tools, or export their definitions")
+    .option("--format <format>", `Output format: ${FORMATS.join(", ")}`, "text")
+    .option("-w, --workspace <name>", "Only tools of this workspace, e.g. bigcommerce")
+    .option("-c, --collection <name>", "Only tools of this collection")
+    .option("-n, --name <pattern>", 'Only tools whose name matches, e.g. "get_order_*"')
+    .action(async (options) => {
+      if (!FORMATS.includes(options.format)) {
+        console.error(`Error: Unknown format "${options.format}", expected one of ${FORMATS.join(", ")}`);
+        process.exitCode = 1;
+        return;
+      }
+      // Keep exported definitions free of log lines
+      if (options.format !== "text") configureLogger({ stdio: true });
+
+      const discovered = await discoverTools();
+      const tools = filterTools(discovered, options);
+
+      switch (options.format) {
+        case "mcp":
+          console.log(JSON.stringify({ tools: tools.map(toMcpTool) }, null, 2));
+          return;
+        case "openai":
+          console.log(JSON.stringify(tools.map(toOpenAiTool), null, 2));
+          return;
+        case "anthropic":
+          console.log(JSON.stringify(tools.map(toAnthropicTool), null, 2));
+          return;
+        case "markdown":
+          console.log(formatMarkdown(tools));
+          return;
+      }
+
+      if (discovered.length === 0) {
         console.log("No tools found. Tools should be organized as:");
         console.log("tools/workspace/collection/request.js\n");
         return;
       }
-
-      console.log("\nAvailable Tools:\n");
-
-      // Group tools by workspace/collection
-      const groupedTools = tools.reduce((acc, tool) => {
-        // Extract workspace and collection from path
-        const parts = tool.path.split("/");
-        const workspace = parts[1] || "Unknown Workspace";
-        const collection = parts[2] || "Unknown Collection";
-
-        if (!acc[workspace]) acc[workspace] = {};
-        if (!acc[workspace][collection]) acc[workspace][collection] = [];
-
-        acc[workspace][collection].push(tool);
-        return acc;
-      }, {});
-
-      // Print tools in a hierarchical structure
-      for (const [workspace, collections] of Object.entries(groupedTools)) {
-        console.log(`Workspace: ${workspace}`);
-        for (const [collection, tools] of Object.entries(collections)) {
-          console.log(`  Collection: ${collection}`);
-          tools.forEach(
-            ({
-              definition: {
-                function: { name, description, parameters },
-              },
-            }) => {
-              console.log(`    ${name}`);
-              console.log(
-                `      Description: ${description || "No description provided"}`
-              );
-              if (parameters?.properties) {
-                console.log("      Parameters:");
-                Object.entries(parameters.properties).forEach(
-                  ([name, details]) => {
-                    console.log(
-                      `        - ${name}: ${
-                        details.description || "No description"
-                      }`
-                    );
-                  }
-                );
-              }
-              console.log("");
-            }
-          );
-        }
-        console.log("");
+      if (tools.length === 0) {
+        console.log("No tools match the given filters.");
+        return;
       }
+      printTree(tools);
     });
-}
\ No newline at end of file
+}
@@ -1,9 +1,21 @@
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
 import { Command } from "commander";
 import { registerToolsCommand } from "./commands/tools.js";
+import { registerPromptsCommand } from "./commands/prompts.js";
+import { registerGenerateCommand } from "./commands/generate.js";
+import { registerCallCommand } from "./commands/call.js";
+
+// Same configuration as the server, so `call` reaches the same stores
+dotenv.config({ path: path.resolve(path.dirname(fileURLToPath(import.meta.url)), ".env") });
 
 const program = new Command();
 
 // Register commands
 registerToolsCommand(program);
+registerPromptsCommand(program);
+registerGenerateCommand(program);
+registerCallCommand(program);
 
 program.parse(process.argv);
@@ -0,0 +1,226 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import {
+  InvalidTokenError,
+  looksLikeJwt,
+  oauthEnabled,
+  resourceMetadataUrl,
+  verifyAccessToken,
+} from "./oauth.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("auth");
+
+let tokenRegistry;
+
+/**
+ * Hashes a bearer token the way token configs store it.
+ * @param {string} token - Plain-text token.
+ * @returns {string} Hex-encoded SHA-256 digest.
+ */
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token, "utf8").digest("hex");
+}
+
+function readTokenConfig() {
+  if (process.env.MCP_AUTH_TOKENS_FILE) {
+    const file = path.resolve(process.env.MCP_AUTH_TOKENS_FILE);
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+  if (process.env.MCP_AUTH_TOKENS) {
+    return JSON.parse(process.env.MCP_AUTH_TOKENS);
+  }
+  return [];
+}
+
+/**
+ * Loads named API tokens. Each entry of MCP_AUTH_TOKENS_FILE or
+ * MCP_AUTH_TOKENS is `{ name, sha256, scopes, pii_policy? }`, where `sha256`
+ * is the hex digest of the token. The legacy MCP_AUTH_TOKEN becomes a token named
+ * "default" with full access.
+ */
+function loadTokens() {
+  const tokens = readTokenConfig().map((entry) => {
+    if (!entry.name || !/^[0-9a-f]{64}$/i.test(entry.sha256 || "")) {
+      throw new Error(`Invalid token entry "${entry.name || "?"}": name and a hex sha256 are required`);
+    }
+    return {
+      name: entry.name,
+      digest: Buffer.from(entry.sha256, "hex"),
+      scopes: entry.scopes || [],
+      piiPolicy: entry.pii_policy,
+    };
+  });
+
+  if (process.env.MCP_AUTH_TOKEN) {
+    tokens.push({
+      name: "default",
+      digest: Buffer.from(hashToken(process.env.MCP_AUTH_TOKEN), "hex"),
+      scopes: ["*"],
+    });
+  }
+
+  return tokens;
+}
+
+function getTokens() {
+  if (!tokenRegistry) {
+    tokenRegistry = loadTokens();
+  }
+  return tokenRegistry;
+}
+
+/**
+ * Finds the configured token matching a presented bearer token. Every entry
+ * is compared in constant time so the match position is not observable.
+ * @param {string} token - Presented bearer token.
+ * @returns {Object|undefined}
+ */
+function findToken(token) {
+  const digest = Buffer.from(hashToken(token), "hex");
+  let match;
+  for (const entry of getTokens()) {
+    if (crypto.timingSafeEqual(entry.digest, digest) && !match) {
+      match = entry;
+    }
+  }
+  return match;
+}
+
+/**
+ * Sends a 401. With OAuth enabled the response carries a WWW-Authenticate
+ * challenge pointing clients at the protected resource metadata.
+ */
+function unauthorized(req, res, message, tokenError) {
+  if (oauthEnabled()) {
+    let challenge = `Bearer resource_metadata="${resourceMetadataUrl(req)}"`;
+    if (tokenError) {
+      challenge += `, error="invalid_token", error_description="${tokenError.replace(/"/g, "'")}"`;
+    }
+    res.set("WWW-Authenticate", challenge);
+  }
+  return res.status(401).json({
+    jsonrpc: "2.0",
+    error: {
+      code: -32001,
+      message,
+    },
+    id: null,
+  });
+}
+
+async function authenticateJwt(req, res, next, token) {
+  try {
+    req.auth = await verifyAccessToken(token);
+  } catch (error) {
+    if (error instanceof InvalidTokenError) {
+      return unauthorized(req, res, `Unauthorized: ${error.message}`, error.message);
+    }
+    log.error("Token verification failed", { error });
+    return res.status(503).json({
+      jsonrpc: "2.0",
+      error: {
+        code: -32603,
+        message: "Unable to verify token",
+      },
+      id: null,
+    });
+  }
+  next();
+}
+
+/**
+ * Express middleware enforcing bearer token authentication on HTTP
+ * transports. JWTs are verified as OAuth access tokens when MCP_OAUTH_ISSUER
+ * is set; other tokens are matched against the configured API tokens. On
+ * success `req.auth` holds the MCP AuthInfo that the SDK hands to request
+ * handlers as `extra.authInfo`.
+ */
+export async function authenticateRequest(req, res, next) {
+  // Skip auth if neither tokens nor OAuth are configured
+  if (getTokens().length === 0 && !oauthEnabled()) {
+    return next();
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return unauthorized(req, res, "Unauthorized: Missing or invalid authorization header");
+  }
+
+  const token = authHeader.substring(7);
+  if (oauthEnabled() && looksLikeJwt(token)) {
+    return authenticateJwt(req, res, next, token);
+  }
+
+  const entry = findToken(token);
+  if (!entry) {
+    return unauthorized(req, res, "Unauthorized: Invalid token", "Unknown token");
+  }
+
+  req.auth = {
+    token,
+    clientId: entry.name,
+    scopes: entry.scopes,
+    extra: { piiPolicy: entry.piiPolicy },
+  };
+  next();
+}
+
+/**
+ * Whether a scope grants a permission. Supported scopes:
+ * - `*` for everything
+ * - `read` or `write` for every tool with that access level
+ * - `<category>:<access>` such as `orders:read` or `customers:*`
+ * - `tool:<name>` for a single tool
+ */
+function scopeGrants(scope, { name, category, access }) {
+  if (scope === "*" || scope === access) return true;
+  if (name && scope === `tool:${name}`) return true;
+  const [scopeCategory, scopeAccess] = scope.split(":");
+  return scopeCategory === category && (scopeAccess === "*" || scopeAccess === access);
+}
+
+/**
+ * Checks a permission against the caller's scopes. Requests without auth
+ * info (stdio, or HTTP without configured tokens) are unrestricted.
+ * @param {Object} [authInfo] - The MCP AuthInfo of the request.
+ * @param {{name?: string, category: string, access: string}} permission
+ * @returns {boolean}
+ */
+export function isAllowed(authInfo, permission) {
+  if (!authInfo) return true;
+  return (authInfo.scopes || []).some((scope) => scopeGrants(scope, permission));
+}
+
+/**
+ * Checks whether the caller may list and call a tool.
+ * @param {Object} [authInfo] - The MCP AuthInfo of the request.
+ * @param {Object} tool - A discovered tool.
+ * @returns {boolean}
+ */
+export function isToolAllowed(authInfo, tool) {
+  return isAllowed(authInfo, {
+    name: tool.definition?.function?.name,
+    category: tool.category,
+    access: tool.access || "read",
+  });
+}
+
+/**
+ * Lists the scopes that grant access to the given tools, for the
+ * `scopes_supported` of the protected resource metadata.
+ * @param {Array} tools - Discovered tools.
+ * @returns {string[]}
+ */
+export function scopesForTools(tools) {
+  const scopes = new Set();
+  for (const tool of tools) {
+    const access = tool.access || "read";
+    scopes.add(access);
+    if (tool.category) {
+      scopes.add(`${tool.category}:${access}`);
+    }
+  }
+  return [...scopes].sort();
+}
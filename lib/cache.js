@@ -0,0 +1,182 @@
+/**
+ * In-memory cache for BigCommerce GET responses, keyed by store alias, path
+ * and normalized query. Entries expire after a per-resource TTL; expired
+ * entries that carried an ETag are kept for conditional revalidation until
+ * they are evicted. Any write to a store drops that store's entries.
+ */
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+// Default TTLs by resource; catalog data changes far less often than orders
+const DEFAULT_TTLS_MS = {
+  products: 5 * 60 * 1000,
+  catalog: 5 * 60 * 1000,
+  customers: 60 * 1000,
+  orders: 30 * 1000,
+  store: 60 * 60 * 1000,
+  default: 60 * 1000,
+};
+
+const entries = new Map();
+const stats = { hits: 0, misses: 0, bypassed: 0, revalidated: 0, evictions: 0, invalidations: 0 };
+
+/**
+ * Whether response caching is on. Disabled with MCP_CACHE=off.
+ * @returns {boolean}
+ */
+export function cacheEnabled() {
+  return process.env.MCP_CACHE !== "off";
+}
+
+function maxEntries() {
+  const value = Number(process.env.MCP_CACHE_MAX_ENTRIES);
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_MAX_ENTRIES;
+}
+
+/**
+ * TTLs by resource, with overrides from MCP_CACHE_TTLS, e.g.
+ * `{"products": 600000, "orders": 0}`. A TTL of 0 disables caching for
+ * that resource.
+ */
+function getTtls() {
+  const overrides = process.env.MCP_CACHE_TTLS ? JSON.parse(process.env.MCP_CACHE_TTLS) : {};
+  return { ...DEFAULT_TTLS_MS, ...overrides };
+}
+
+/**
+ * Maps an API path to the resource its TTL is configured under, e.g.
+ * "/v3/catalog/products" -> "products", "/v2/orders/1/products" -> "orders".
+ */
+function resourceOf(path) {
+  const [, , first, second] = path.split("/");
+  if (first === "catalog") {
+    return second === "products" ? "products" : "catalog";
+  }
+  return first || "default";
+}
+
+/**
+ * Builds the cache key of a request. Query parameters are sorted and empty
+ * values dropped, so equivalent calls share an entry.
+ * @param {string} store - Store alias.
+ * @param {string} path - API path relative to the store.
+ * @param {URLSearchParams} query - Query parameters as sent.
+ * @returns {string}
+ */
+export function cacheKey(store, path, query) {
+  const params = [...query.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return `${store} ${path}?${new URLSearchParams(params).toString()}`;
+}
+
+function toResponse(entry) {
+  return {
+    status: entry.status,
+    data: structuredClone(entry.data),
+    headers: new Headers(entry.headers),
+  };
+}
+
+/**
+ * Looks up a cached response.
+ * @param {string} key - Key from cacheKey.
+ * @param {Object} [options]
+ * @param {boolean} [options.bypass] - Skip fresh entries (still returns the ETag for revalidation).
+ * @returns {{response?: Object, etag?: string}} `response` when a fresh entry
+ *   was found, otherwise the ETag of a stale entry, if any.
+ */
+export function readCache(key, { bypass = false } = {}) {
+  const entry = entries.get(key);
+  if (entry && !bypass && entry.expiresAt > Date.now()) {
+    // Re-insert to keep the map in least-recently-used order
+    entries.delete(key);
+    entries.set(key, entry);
+    stats.hits++;
+    return { response: toResponse(entry) };
+  }
+  if (bypass) {
+    stats.bypassed++;
+  } else {
+    stats.misses++;
+  }
+  return { etag: entry?.etag };
+}
+
+/**
+ * Stores a successful response.
+ * @param {string} key - Key from cacheKey.
+ * @param {string} store - Store alias, for invalidation.
+ * @param {string} path - API path, selects the TTL.
+ * @param {{status: number, data: *, headers: Headers}} response
+ */
+export function writeCache(key, store, path, response) {
+  const ttl = getTtls()[resourceOf(path)] ?? getTtls().default;
+  const limit = maxEntries();
+  if (!(ttl > 0) || limit === 0) return;
+
+  entries.delete(key);
+  entries.set(key, {
+    store,
+    status: response.status,
+    data: structuredClone(response.data),
+    headers: Object.fromEntries(response.headers),
+    etag: response.headers.get("ETag") || undefined,
+    expiresAt: Date.now() + ttl,
+  });
+
+  while (entries.size > limit) {
+    entries.delete(entries.keys().next().value);
+    stats.evictions++;
+  }
+}
+
+/**
+ * Renews a stale entry after the API answered 304 Not Modified.
+ * @param {string} key - Key from cacheKey.
+ * @param {string} path - API path, selects the TTL.
+ * @returns {Object|undefined} The cached response, or undefined if the entry is gone.
+ */
+export function revalidateCache(key, path) {
+  const entry = entries.get(key);
+  if (!entry) return undefined;
+  entry.expiresAt = Date.now() + (getTtls()[resourceOf(path)] ?? getTtls().default);
+  stats.revalidated++;
+  return toResponse(entry);
+}
+
+/**
+ * Drops every cached response of a store. Called after any write.
+ * @param {string} store - Store alias.
+ */
+export function invalidateStore(store) {
+  for (const [key, entry] of entries) {
+    if (entry.store === store) {
+      entries.delete(key);
+    }
+  }
+  stats.invalidations++;
+}
+
+/**
+ * Cache statistics for /health.
+ * @returns {Object}
+ */
+export function getCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    enabled: cacheEnabled(),
+    entries: entries.size,
+    max_entries: maxEntries(),
+    ...stats,
+    hit_rate: lookups > 0 ? Number((stats.hits / lookups).toFixed(3)) : null,
+  };
+}
+
+/**
+ * JSON Schema property shared by read tools.
+ */
+export const cacheParameters = {
+  bypass_cache: {
+    type: "boolean",
+    description: "Fetch fresh data from BigCommerce instead of a cached response (default false).",
+  },
+};
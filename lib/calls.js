@@ -0,0 +1,64 @@
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { isToolAllowed } from "./auth.js";
+import { createLogger } from "./logger.js";
+import { applyPiiPolicy, resolvePolicy } from "./pii.js";
+import { projectResult, truncateResult } from "./projection.js";
+import { isWriteTool, writesAllowed } from "./tools.js";
+import { validateArguments } from "./validation.js";
+
+const log = createLogger("tools");
+
+/**
+ * Runs a tool the way an MCP tools/call does: checks the read-only gate and
+ * the caller's scopes, validates the arguments, then applies `fields` /
+ * `compact`, the PII policy and the size limit to the result. Shared by
+ * the MCP server and the `call` CLI command.
+ *
+ * @param {Object} tool - A discovered tool.
+ * @param {Object} [rawArgs] - Arguments as sent by the client.
+ * @param {Object} [authInfo] - The MCP AuthInfo of the caller; none means unrestricted.
+ * @returns {Promise<*>} The shaped result, or the tool's `{ error }` object.
+ * @throws {McpError} InvalidRequest when the tool is not allowed, InvalidParams
+ *   for invalid arguments, InternalError when the tool throws.
+ */
+export async function runTool(tool, rawArgs, authInfo) {
+  const toolName = tool.definition.function.name;
+  if (isWriteTool(tool) && !writesAllowed()) {
+    throw new McpError(
+      ErrorCode.InvalidRequest,
+      `Tool ${toolName} modifies store data and the server is in read-only mode. Set MCP_ALLOW_WRITES=true to enable write tools.`
+    );
+  }
+  if (!isToolAllowed(authInfo, tool)) {
+    throw new McpError(
+      ErrorCode.InvalidRequest,
+      `Token "${authInfo.clientId}" is not authorized to call ${toolName}`
+    );
+  }
+  const { value: args, errors } = validateArguments(
+    tool.definition?.function?.parameters,
+    rawArgs
+  );
+  if (errors.length > 0) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid arguments for ${toolName}:\n- ${errors.join("\n- ")}`,
+      { errors }
+    );
+  }
+  try {
+    const policy = resolvePolicy(authInfo);
+    const result = await tool.function(args);
+    if (result?.error) {
+      return result;
+    }
+    const projected = projectResult(result, { fields: args.fields, compact: args.compact });
+    return truncateResult(applyPiiPolicy(projected, policy));
+  } catch (error) {
+    log.error("Tool threw an exception", { error });
+    throw new McpError(
+      ErrorCode.InternalError,
+      `API error: ${error.message}`
+    );
+  }
+}
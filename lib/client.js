@@ -0,0 +1,482 @@
+import dotenv from "dotenv";
+import { resolveStore } from "./stores.js";
+import { cacheEnabled, cacheKey, invalidateStore, readCache, revalidateCache, writeCache } from "./cache.js";
+import { counter, gauge } from "./metrics.js";
+import { createLogger } from "./logger.js";
+
+// Load environment variables
+dotenv.config();
+
+const log = createLogger("client");
+
+const BASE_URL = process.env.BIGCOMMERCE_API_BASE_URL || "https://api.bigcommerce.com/stores";
+
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 30000;
+
+const DEFAULT_MAX_CONCURRENCY = 4;
+// Below this share of the quota, requests are spread over the rest of the window
+const SLOWDOWN_FRACTION = 0.2;
+
+// Per-store throttle state: in-flight requests, queued waiters and the quota
+// learned from X-Rate-Limit-* headers of earlier responses.
+const storeThrottles = new Map();
+
+const upstreamRequests = counter(
+  "bigcommerce_requests_total",
+  "BigCommerce API requests sent, by store, method, endpoint and response status."
+);
+
+gauge(
+  "bigcommerce_rate_limit_remaining",
+  "Requests left in the current BigCommerce rate-limit window, per store.",
+  () => Object.entries(getThrottleStats()).map(([store, stats]) => ({
+    labels: { store },
+    value: stats.requests_left,
+  }))
+);
+
+/**
+ * Normalizes an API path for metric labels: numeric IDs become "{id}", so
+ * "/v2/orders/123/products" is counted as "/v2/orders/{id}/products".
+ */
+function endpointLabel(path) {
+  return path.replace(/\/\d+(?=\/|$)/g, "/{id}");
+}
+
+/**
+ * Normalized error raised for every failed BigCommerce request.
+ */
+export class BigCommerceApiError extends Error {
+  /**
+   * @param {Object} details
+   * @param {string} details.message - Human readable summary.
+   * @param {number} [details.status] - HTTP status code (0 for network failures).
+   * @param {string|number} [details.code] - BigCommerce error code, when provided.
+   * @param {string} [details.title] - BigCommerce error title or HTTP status text.
+   * @param {string} [details.detail] - Additional detail from the response body.
+   * @param {Object} [details.errors] - Field-level validation errors.
+   */
+  constructor({ message, status = 0, code, title, detail, errors }) {
+    super(message);
+    this.name = "BigCommerceApiError";
+    this.status = status;
+    this.code = code;
+    this.title = title;
+    this.detail = detail;
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return {
+      status: this.status,
+      code: this.code,
+      title: this.title,
+      detail: this.detail,
+      errors: this.errors,
+    };
+  }
+}
+
+/**
+ * Builds URLSearchParams from a plain object, skipping empty values.
+ * @param {Object} params - Query parameters keyed by their BigCommerce name.
+ * @returns {URLSearchParams}
+ */
+export function buildQuery(params = {}) {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null || value === "") continue;
+    query.append(key, Array.isArray(value) ? value.join(",") : String(value));
+  }
+  return query;
+}
+
+/**
+ * Extracts the BigCommerce error code, title and detail from a response body.
+ * v3 returns `{ status, title, type, detail, errors }`, v2 returns
+ * `[{ status, message, details }]`, and some gateways return HTML pages.
+ */
+function parseErrorBody(status, statusText, bodyText) {
+  const text = (bodyText || "").trim();
+
+  if (text.startsWith("<")) {
+    const titleMatch = text.match(/<title>(.*?)<\/title>/i);
+    let detail;
+    if (status === 401) {
+      detail = "Authentication failed - invalid API token";
+    } else if (status === 403) {
+      detail = "Access forbidden - check API token permissions";
+    } else if (status === 404) {
+      detail = "Store not found - check store hash";
+    }
+    return { title: titleMatch ? titleMatch[1] : statusText, detail };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    return { title: statusText, detail: text ? text.substring(0, 500) : undefined };
+  }
+
+  const entry = (Array.isArray(body) ? body[0] : body) || {};
+  let detail = entry.detail;
+  if (!detail && entry.details) {
+    detail = JSON.stringify(entry.details);
+  }
+  return {
+    code: entry.code ?? entry.type ?? entry.status,
+    title: entry.title || entry.message || statusText,
+    detail,
+    errors: entry.errors,
+  };
+}
+
+/**
+ * Whether a failed request may be sent again. A 429 was rejected before it
+ * ran; a 5xx or network error may come after a write took effect, so only
+ * GET requests are retried then.
+ */
+function isRetryable(method, status) {
+  return status === 429 || (method === "GET" && (status === "network_error" || status >= 500));
+}
+
+function backoffDelay(attempt) {
+  const delay = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function maxConcurrency() {
+  const value = Number(process.env.BIGCOMMERCE_MAX_CONCURRENCY);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_CONCURRENCY;
+}
+
+function getThrottle(storeHash, alias) {
+  let throttle = storeThrottles.get(storeHash);
+  if (!throttle) {
+    throttle = { store: alias, active: 0, queue: [], requestsLeft: null, quota: null, resetAt: 0 };
+    storeThrottles.set(storeHash, throttle);
+  }
+  return throttle;
+}
+
+async function acquireSlot(throttle) {
+  if (throttle.active < maxConcurrency()) {
+    throttle.active++;
+    return;
+  }
+  // releaseSlot hands its slot straight to the next waiter
+  await new Promise((resolve) => throttle.queue.push(resolve));
+}
+
+function releaseSlot(throttle) {
+  const next = throttle.queue.shift();
+  if (next) {
+    next();
+  } else {
+    throttle.active--;
+  }
+}
+
+/**
+ * How long to hold a request back: until the window resets once the quota
+ * is used up, and proportionally longer as it runs low.
+ */
+function throttleDelay(throttle) {
+  const remaining = throttle.resetAt - Date.now();
+  if (remaining <= 0 || throttle.requestsLeft === null) return 0;
+  if (throttle.requestsLeft <= 0) return remaining;
+  const slowdownAt = Math.max(maxConcurrency(), (throttle.quota || 0) * SLOWDOWN_FRACTION);
+  return throttle.requestsLeft <= slowdownAt ? remaining / throttle.requestsLeft : 0;
+}
+
+/**
+ * Records rate-limit state from response headers and returns how long to wait
+ * before retrying a 429.
+ */
+function trackRateLimit(throttle, response) {
+  const resetMs = Number(response.headers.get("X-Rate-Limit-Time-Reset-Ms"));
+  const requestsLeft = Number(response.headers.get("X-Rate-Limit-Requests-Left"));
+  const quota = Number(response.headers.get("X-Rate-Limit-Requests-Quota"));
+
+  if (!Number.isFinite(resetMs) || resetMs <= 0) return 0;
+
+  throttle.resetAt = Date.now() + resetMs;
+  throttle.requestsLeft = response.status === 429 ? 0 : Number.isFinite(requestsLeft) ? requestsLeft : null;
+  if (Number.isFinite(quota) && quota > 0) {
+    throttle.quota = quota;
+  }
+  return response.status === 429 ? resetMs : 0;
+}
+
+async function waitForRateLimit(throttle) {
+  const delay = throttleDelay(throttle);
+  if (delay > 0) {
+    await sleep(delay);
+  }
+  if (throttle.resetAt <= Date.now()) {
+    throttle.requestsLeft = null;
+  } else if (throttle.requestsLeft !== null) {
+    // Count this request until its response reports the real number
+    throttle.requestsLeft--;
+  }
+}
+
+/**
+ * Outbound throttle state per store, for monitoring.
+ * @returns {Object<string, {active: number, queued: number, requests_left: number|null, quota: number|null}>}
+ *   Keyed by store alias.
+ */
+export function getThrottleStats() {
+  return Object.fromEntries(
+    [...storeThrottles.values()].map((throttle) => [
+      throttle.store,
+      {
+        active: throttle.active,
+        queued: throttle.queue.length,
+        requests_left: throttle.resetAt > Date.now() ? throttle.requestsLeft : null,
+        quota: throttle.quota,
+      },
+    ])
+  );
+}
+
+function buildUrl(storeHash, path, query) {
+  const search = query instanceof URLSearchParams ? query : buildQuery(query);
+  const queryString = search.toString();
+  return `${BASE_URL}/${storeHash}${path}${queryString ? `?${queryString}` : ""}`;
+}
+
+/**
+ * Describes the request bigcommerceRequest would send, without sending it.
+ * Used by write tools for dry runs; the access token is never included.
+ *
+ * @param {string} path - API path relative to the store.
+ * @param {Object} [options] - Same options as bigcommerceRequest.
+ * @returns {{method: string, url: string, body: *}}
+ */
+export function describeRequest(path, options = {}) {
+  const { store, method = "GET", query, body } = options;
+  const { alias, storeHash } = resolveStore(store);
+  return { store: alias, method, url: buildUrl(storeHash, path, query), body };
+}
+
+/**
+ * Sends one request, retrying transient failures. At most
+ * BIGCOMMERCE_MAX_CONCURRENCY requests per store are in flight; the rest
+ * queue. A 304 answer to an `If-None-Match` request is returned like a
+ * success with null data.
+ */
+async function sendRequest(url, { alias, storeHash, accessToken, path, method, body, etag, maxRetries }) {
+  const headers = {
+    "X-Auth-Token": accessToken,
+    "Content-Type": "application/json",
+    Accept: "application/json",
+    ...(etag ? { "If-None-Match": etag } : {}),
+  };
+
+  const throttle = getThrottle(storeHash, alias);
+  const labels = { store: alias, method, endpoint: endpointLabel(path) };
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    let responseText;
+    let retryAfterMs;
+    let networkError;
+    let started;
+    await acquireSlot(throttle);
+    try {
+      await waitForRateLimit(throttle);
+      started = Date.now();
+      response = await fetch(url, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      retryAfterMs = trackRateLimit(throttle, response);
+      responseText = await response.text();
+    } catch (error) {
+      networkError = error;
+    } finally {
+      releaseSlot(throttle);
+    }
+    const status = networkError ? "network_error" : String(response.status);
+    upstreamRequests.inc({ ...labels, status });
+    log.debug("BigCommerce request", {
+      ...labels,
+      status,
+      attempt,
+      duration_ms: started === undefined ? undefined : Date.now() - started,
+    });
+
+    if (networkError) {
+      if (isRetryable(method, status) && attempt < maxRetries) {
+        const delay = backoffDelay(attempt);
+        log.warn("Retrying BigCommerce request after network error", {
+          ...labels,
+          attempt,
+          delay_ms: Math.round(delay),
+          error: networkError,
+        });
+        await sleep(delay);
+        continue;
+      }
+      throw new BigCommerceApiError({
+        message: `Network error: ${networkError.message}`,
+        title: "Network error",
+        detail: networkError.message,
+      });
+    }
+
+    if (response.status === 304 && etag) {
+      return { status: 304, data: null, headers: response.headers };
+    }
+
+    if (!response.ok) {
+      if (isRetryable(method, response.status) && attempt < maxRetries) {
+        let delay = retryAfterMs;
+        if (!delay) {
+          const retryAfter = Number(response.headers.get("Retry-After"));
+          delay = retryAfter > 0 ? retryAfter * 1000 : backoffDelay(attempt);
+        }
+        log.warn("Retrying BigCommerce request", { ...labels, status, attempt, delay_ms: Math.round(delay) });
+        await sleep(delay);
+        continue;
+      }
+
+      const { code, title, detail, errors } = parseErrorBody(
+        response.status,
+        response.statusText,
+        responseText
+      );
+      const label = title && !title.includes(String(response.status))
+        ? `HTTP ${response.status} ${title}`
+        : title || `HTTP ${response.status}`;
+      throw new BigCommerceApiError({
+        message: `${label}${detail ? `: ${detail}` : ""}`,
+        status: response.status,
+        code,
+        title,
+        detail,
+        errors,
+      });
+    }
+
+    if (!responseText || responseText.trim() === "") {
+      return { status: response.status, data: null, headers: response.headers };
+    }
+
+    if (responseText.trim().startsWith("<")) {
+      const { title, detail } = parseErrorBody(response.status, response.statusText, responseText);
+      throw new BigCommerceApiError({
+        message: `Unexpected HTML response: ${title}${detail ? `. ${detail}` : ""}`,
+        status: response.status,
+        title,
+        detail,
+      });
+    }
+
+    try {
+      return {
+        status: response.status,
+        data: JSON.parse(responseText),
+        headers: response.headers,
+      };
+    } catch {
+      throw new BigCommerceApiError({
+        message: `Invalid JSON response: ${responseText.substring(0, 200)}...`,
+        status: response.status,
+        title: "Invalid JSON response",
+      });
+    }
+  }
+}
+
+/**
+ * Sends a request to the BigCommerce REST API, retrying 429 responses and,
+ * for GET, 5xx responses and network errors with backoff, and honoring the
+ * store's rate-limit window.
+ *
+ * GET responses are served from and stored in the response cache (see
+ * lib/cache.js); stale entries with an ETag are revalidated with
+ * If-None-Match. Any other method invalidates the store's cached responses.
+ *
+ * @param {string} path - API path relative to the store, e.g. "/v3/catalog/products".
+ * @param {Object} [options]
+ * @param {string} [options.store] - Store alias from the store registry. Defaults to the default store.
+ * @param {string} [options.method] - HTTP method (default GET).
+ * @param {Object|URLSearchParams} [options.query] - Query parameters.
+ * @param {Object} [options.body] - JSON request body.
+ * @param {boolean} [options.bypassCache] - Skip cached responses (the fresh response is still cached).
+ * @param {number} [options.maxRetries] - Retry budget for transient failures.
+ * @returns {Promise<{status: number, data: *, headers: Headers}>} - Parsed
+ *   response; `data` is null for empty or 204 responses.
+ * @throws {BigCommerceApiError}
+ */
+export async function bigcommerceRequest(path, options = {}) {
+  const {
+    store,
+    method = "GET",
+    query,
+    body,
+    bypassCache = false,
+    maxRetries = Number(process.env.BIGCOMMERCE_MAX_RETRIES ?? DEFAULT_MAX_RETRIES),
+  } = options;
+
+  // The access token is always taken from the registry entry of the store, so
+  // a caller can never send one store's token to another store hash.
+  const { alias, storeHash, accessToken } = resolveStore(store);
+  const search = query instanceof URLSearchParams ? query : buildQuery(query);
+  const url = buildUrl(storeHash, path, search);
+  const request = { alias, storeHash, accessToken, path, method, body, maxRetries };
+
+  if (method !== "GET") {
+    try {
+      return await sendRequest(url, request);
+    } finally {
+      invalidateStore(alias);
+    }
+  }
+
+  if (!cacheEnabled()) {
+    return sendRequest(url, request);
+  }
+
+  const key = cacheKey(alias, path, search);
+  const cached = readCache(key, { bypass: bypassCache });
+  if (cached.response) {
+    return cached.response;
+  }
+
+  const response = await sendRequest(url, { ...request, etag: cached.etag });
+  if (response.status === 304) {
+    // The entry can only be gone if it was invalidated while the request ran
+    return revalidateCache(key, path) ?? sendRequest(url, request);
+  }
+  // 204 is how v2 list endpoints answer "no records", so it is cached too
+  if (response.status === 200 || response.status === 204) {
+    writeCache(key, alias, path, response);
+  }
+  return response;
+}
+
+/**
+ * Converts a thrown error into the result object returned by tool functions.
+ * @param {string} action - Description of what the tool was doing, e.g. "getting all orders".
+ * @param {Error} error - The caught error.
+ * @returns {{error: string, status?: number, code?: string|number, title?: string}}
+ */
+export function toolError(action, error) {
+  const message = error instanceof Error ? error.message : JSON.stringify(error);
+  const result = { error: `An error occurred while ${action}: ${message}` };
+  if (error instanceof BigCommerceApiError) {
+    Object.assign(result, error.toJSON());
+  }
+  return result;
+}
@@ -0,0 +1,136 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+/**
+ * Structured logging. Entries are written as JSON lines (LOG_FORMAT=json,
+ * the default) or as readable text (LOG_FORMAT=text), filtered by LOG_LEVEL
+ * (error, warn, info, debug; default info).
+ *
+ * Fields of the current request context (see withRequestContext) are added
+ * to every entry, so upstream BigCommerce calls log the correlation ID of
+ * the MCP request that caused them. Secrets are redacted before writing.
+ */
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const REDACTED = "[REDACTED]";
+const SECRET_KEY = /authorization|x-auth-token|token|secret|password|api_?key/i;
+const SECRET_ENV = /TOKEN|KEY|SECRET|PASSWORD/;
+
+const requestContext = new AsyncLocalStorage();
+
+// In stdio mode stdout carries JSON-RPC, so every entry goes to stderr
+let stderrOnly = false;
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.stdio - Write only to stderr.
+ */
+export function configureLogger({ stdio }) {
+  stderrOnly = stdio;
+}
+
+/**
+ * Runs `fn` with fields that are added to every entry logged during it,
+ * including from asynchronous work it starts.
+ * @param {Object} context - e.g. `{ request_id, tool }`.
+ * @param {Function} fn
+ * @returns {*} What `fn` returns.
+ */
+export function withRequestContext(context, fn) {
+  return requestContext.run({ ...requestContext.getStore(), ...context }, fn);
+}
+
+function secretValues() {
+  return Object.entries(process.env)
+    .filter(([name, value]) => SECRET_ENV.test(name) && value && value.length >= 8)
+    .map(([, value]) => value);
+}
+
+function redactString(value, secrets) {
+  let result = value.replace(/Bearer\s+[^\s"',]+/gi, `Bearer ${REDACTED}`);
+  for (const secret of secrets) {
+    result = result.split(secret).join(REDACTED);
+  }
+  return result;
+}
+
+function serializeError(error) {
+  const details = typeof error.toJSON === "function" ? error.toJSON() : {};
+  return {
+    name: error.name,
+    message: error.message,
+    ...details,
+    // API errors are fully described by their status and detail
+    ...(error.name === "BigCommerceApiError" ? {} : { stack: error.stack }),
+  };
+}
+
+function redact(value, secrets, depth = 0) {
+  if (typeof value === "string") return redactString(value, secrets);
+  if (value instanceof Error) return redact(serializeError(value), secrets, depth);
+  if (value === null || typeof value !== "object") return value;
+  if (depth > 5) return "[Object]";
+  if (Array.isArray(value)) return value.map((item) => redact(item, secrets, depth + 1));
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEY.test(key) && item !== undefined && typeof item !== "object"
+        ? REDACTED
+        : redact(item, secrets, depth + 1),
+    ])
+  );
+}
+
+function currentLevel() {
+  return LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? LEVELS.info;
+}
+
+function formatText(entry) {
+  const { time, level, component, message, ...fields } = entry;
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`)
+    .join(" ");
+  return `${time} ${level.toUpperCase()} [${component}] ${message}${extra ? ` ${extra}` : ""}`;
+}
+
+function write(level, component, message, fields) {
+  if (LEVELS[level] > currentLevel()) return;
+
+  const secrets = secretValues();
+  const entry = redact(
+    {
+      time: new Date().toISOString(),
+      level,
+      component,
+      message,
+      ...requestContext.getStore(),
+      ...fields,
+    },
+    secrets
+  );
+  for (const key of Object.keys(entry)) {
+    if (entry[key] === undefined) delete entry[key];
+  }
+  const line = process.env.LOG_FORMAT === "text" ? formatText(entry) : JSON.stringify(entry);
+  const stream = stderrOnly || LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Creates a logger for one component of the server.
+ * @param {string} component - e.g. "server", "client".
+ * @returns {{error: Function, warn: Function, info: Function, debug: Function}}
+ *   Each takes a message and optional fields; an `error` field may be an Error.
+ */
+export function createLogger(component) {
+  return Object.fromEntries(
+    Object.keys(LEVELS).map((level) => [
+      level,
+      (message, fields = {}) => write(level, component, message, fields),
+    ])
+  );
+}
+
+/**
+ * Logger for tool implementations.
+ */
+export const logger = createLogger("tools");
@@ -0,0 +1,127 @@
+/**
+ * Minimal Prometheus metrics registry rendering the text exposition format.
+ * Counters and histograms are recorded where events happen; gauges are
+ * collected from their source when /metrics is scraped.
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const metrics = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => (a < b ? -1 : 1)));
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+/**
+ * Registers a counter.
+ * @param {string} name - Metric name, ending in `_total`.
+ * @param {string} help - Description.
+ * @returns {{inc: (labels?: Object, value?: number) => void}}
+ */
+export function counter(name, help) {
+  const series = new Map();
+  metrics.push({
+    render() {
+      const lines = header(name, help, "counter");
+      for (const { labels, value } of series.values()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines;
+    },
+  });
+  return {
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+  };
+}
+
+/**
+ * Registers a histogram.
+ * @param {string} name - Metric name, e.g. ending in `_seconds`.
+ * @param {string} help - Description.
+ * @param {number[]} [buckets] - Upper bounds, ascending.
+ * @returns {{observe: (labels: Object, value: number) => void, startTimer: (labels?: Object) => () => void}}
+ */
+export function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  metrics.push({
+    render() {
+      const lines = header(name, help, "histogram");
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+  });
+
+  const observe = (labels, value) => {
+    const key = seriesKey(labels);
+    const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+    buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+    series.set(key, entry);
+  };
+
+  return {
+    observe,
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return () => observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    },
+  };
+}
+
+/**
+ * Registers a gauge whose values are read from `collect` at scrape time.
+ * @param {string} name - Metric name.
+ * @param {string} help - Description.
+ * @param {() => Array<{labels?: Object, value: number}>|number} collect
+ */
+export function gauge(name, help, collect) {
+  metrics.push({
+    render() {
+      const lines = header(name, help, "gauge");
+      const values = collect();
+      for (const { labels = {}, value } of typeof values === "number" ? [{ value: values }] : values) {
+        if (value !== null && value !== undefined) {
+          lines.push(`${name}${formatLabels(labels)} ${value}`);
+        }
+      }
+      return lines;
+    },
+  });
+}
+
+/**
+ * Renders every registered metric in the Prometheus text format.
+ * @returns {string}
+ */
+export function renderMetrics() {
+  return `${metrics.flatMap((metric) => metric.render()).join("\n")}\n`;
+}
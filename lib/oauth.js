@@ -0,0 +1,290 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+/**
+ * OAuth 2.1 protected-resource support: bearer JWTs issued by an external
+ * authorization server are verified locally against its JWKS. Enabled by
+ * MCP_OAUTH_ISSUER together with MCP_OAUTH_JWKS_FILE or MCP_OAUTH_JWKS_URL,
+ * and MCP_OAUTH_RESOURCE or MCP_OAUTH_AUDIENCE.
+ */
+
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+// Unknown key IDs trigger a refetch (key rotation), at most this often
+const JWKS_REFRESH_MIN_MS = 30 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+// A hanging issuer fails token verification (503) instead of stalling requests
+const JWKS_FETCH_TIMEOUT_MS = 5000;
+
+// JWS algorithms accepted for signatures; symmetric and "none" never are
+const algorithms = {
+  RS256: { keyType: "RSA", hash: "sha256" },
+  RS384: { keyType: "RSA", hash: "sha384" },
+  RS512: { keyType: "RSA", hash: "sha512" },
+  PS256: { keyType: "RSA", hash: "sha256", padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+  PS384: { keyType: "RSA", hash: "sha384", padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 48 },
+  PS512: { keyType: "RSA", hash: "sha512", padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+  ES256: { keyType: "EC", hash: "sha256", dsaEncoding: "ieee-p1363" },
+  ES384: { keyType: "EC", hash: "sha384", dsaEncoding: "ieee-p1363" },
+  ES512: { keyType: "EC", hash: "sha512", dsaEncoding: "ieee-p1363" },
+  EdDSA: { keyType: "OKP", hash: null },
+};
+
+/**
+ * Raised when a bearer JWT is rejected. The message is safe to return to
+ * the client as the WWW-Authenticate error_description.
+ */
+export class InvalidTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidTokenError";
+  }
+}
+
+let oauthConfig;
+let jwksCache = { keys: null, fetchedAt: 0 };
+
+/**
+ * Whether OAuth bearer tokens are accepted.
+ * @returns {boolean}
+ */
+export function oauthEnabled() {
+  return Boolean(process.env.MCP_OAUTH_ISSUER);
+}
+
+function parseScopeMap(text) {
+  let scopeMap;
+  try {
+    scopeMap = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`MCP_OAUTH_SCOPE_MAP is not valid JSON: ${error.message}`);
+  }
+  const valid =
+    scopeMap &&
+    typeof scopeMap === "object" &&
+    !Array.isArray(scopeMap) &&
+    Object.values(scopeMap).every(
+      (scopes) => Array.isArray(scopes) && scopes.every((scope) => typeof scope === "string")
+    );
+  if (!valid) {
+    throw new Error('MCP_OAUTH_SCOPE_MAP must map claim scopes to arrays of server scopes, e.g. {"sso.scope": ["orders:read"]}');
+  }
+  return scopeMap;
+}
+
+function loadOAuthConfig() {
+  const issuer = process.env.MCP_OAUTH_ISSUER;
+  const jwksFile = process.env.MCP_OAUTH_JWKS_FILE;
+  const jwksUrl = process.env.MCP_OAUTH_JWKS_URL;
+  if (!jwksFile && !jwksUrl) {
+    throw new Error("MCP_OAUTH_ISSUER requires MCP_OAUTH_JWKS_FILE or MCP_OAUTH_JWKS_URL");
+  }
+  if (!process.env.MCP_OAUTH_RESOURCE && !process.env.MCP_OAUTH_AUDIENCE) {
+    throw new Error("MCP_OAUTH_ISSUER requires MCP_OAUTH_RESOURCE or MCP_OAUTH_AUDIENCE");
+  }
+  return {
+    issuer,
+    jwksFile,
+    jwksUrl,
+    audience: expectedAudience(),
+    scopeMap: process.env.MCP_OAUTH_SCOPE_MAP ? parseScopeMap(process.env.MCP_OAUTH_SCOPE_MAP) : null,
+  };
+}
+
+/**
+ * Reads and validates the OAuth settings once. The audience is always
+ * configured, never taken from the request: a Host or X-Forwarded-* header
+ * chosen by the caller would let tokens issued for any other resource through.
+ * @returns {Object}
+ * @throws {Error} When a required setting is missing or MCP_OAUTH_SCOPE_MAP is invalid.
+ */
+export function getOAuthConfig() {
+  if (!oauthConfig) {
+    oauthConfig = loadOAuthConfig();
+  }
+  return oauthConfig;
+}
+
+async function loadJwks({ jwksFile, jwksUrl }) {
+  if (jwksFile) {
+    return JSON.parse(fs.readFileSync(path.resolve(jwksFile), "utf8")).keys || [];
+  }
+  let response;
+  try {
+    response = await fetch(jwksUrl, {
+      headers: { Accept: "application/json" },
+      signal: AbortSignal.timeout(JWKS_FETCH_TIMEOUT_MS),
+    });
+  } catch (error) {
+    const reason = error.name === "TimeoutError" ? `timed out after ${JWKS_FETCH_TIMEOUT_MS}ms` : error.message;
+    throw new Error(`Failed to fetch JWKS from ${jwksUrl}: ${reason}`);
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to fetch JWKS from ${jwksUrl}: HTTP ${response.status}`);
+  }
+  return (await response.json()).keys || [];
+}
+
+async function findSigningKey(config, { kid, alg }) {
+  const age = Date.now() - jwksCache.fetchedAt;
+  // A key is only used with the algorithm family it was published for
+  const matches = (key) =>
+    (kid ? key.kid === kid : true) &&
+    (!key.use || key.use === "sig") &&
+    key.kty === algorithms[alg].keyType &&
+    (!key.alg || key.alg === alg);
+
+  let key = jwksCache.keys && age < JWKS_CACHE_MS ? jwksCache.keys.find(matches) : undefined;
+  if (!key && (!jwksCache.keys || age >= JWKS_REFRESH_MIN_MS)) {
+    jwksCache = { keys: await loadJwks(config), fetchedAt: Date.now() };
+    key = jwksCache.keys.find(matches);
+  }
+  if (!key) {
+    throw new InvalidTokenError(kid ? `Unknown signing key "${kid}"` : "No signing key available");
+  }
+  return crypto.createPublicKey({ key, format: "jwk" });
+}
+
+function decodeSegment(segment, name) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch {
+    throw new InvalidTokenError(`Malformed token ${name}`);
+  }
+  // Valid JSON such as null or a number is still not a JOSE header or claims set
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new InvalidTokenError(`Malformed token ${name}`);
+  }
+  return value;
+}
+
+/**
+ * Whether a bearer token has the compact JWS shape (header.payload.signature).
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function looksLikeJwt(token) {
+  return /^[\w-]+\.[\w-]+\.[\w-]+$/.test(token);
+}
+
+function checkClaims(claims, issuer, audience) {
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.iss !== issuer) {
+    throw new InvalidTokenError("Token issuer is not trusted");
+  }
+  if (![].concat(claims.aud ?? []).includes(audience)) {
+    throw new InvalidTokenError("Token audience does not match this resource");
+  }
+  if (typeof claims.exp !== "number") {
+    throw new InvalidTokenError("Token has no expiry");
+  }
+  if (claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new InvalidTokenError("Token has expired");
+  }
+  if (typeof claims.nbf === "number" && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new InvalidTokenError("Token is not valid yet");
+  }
+}
+
+/**
+ * Reads granted scopes from the `scope` (space separated) or `scp` claim
+ * and translates them with MCP_OAUTH_SCOPE_MAP when configured, e.g.
+ * `{"bigcommerce.support": ["orders:read", "products:read"]}`. Without a
+ * map, claim scopes are used as server scopes directly.
+ */
+function scopesFromClaims(claims, scopeMap) {
+  const granted = typeof claims.scope === "string"
+    ? claims.scope.split(" ").filter(Boolean)
+    : [].concat(claims.scp ?? []);
+  if (!scopeMap) return granted;
+  return [...new Set(granted.flatMap((scope) => scopeMap[scope] ?? []))];
+}
+
+/**
+ * Verifies a bearer JWT and converts it into MCP AuthInfo.
+ * @param {string} token - The compact JWT.
+ * @returns {Promise<{token: string, clientId: string, scopes: string[], expiresAt: number, extra: Object}>}
+ * @throws {InvalidTokenError} When the signature or a claim is invalid.
+ */
+export async function verifyAccessToken(token) {
+  const config = getOAuthConfig();
+  const [headerSegment, payloadSegment, signatureSegment] = token.split(".");
+  const header = decodeSegment(headerSegment, "header");
+  const claims = decodeSegment(payloadSegment, "payload");
+
+  const algorithm = algorithms[header.alg];
+  if (!algorithm) {
+    throw new InvalidTokenError(`Unsupported signing algorithm "${header.alg}"`);
+  }
+
+  const key = await findSigningKey(config, header);
+  const { hash, padding, saltLength, dsaEncoding } = algorithm;
+  let valid;
+  try {
+    valid = crypto.verify(
+      hash,
+      Buffer.from(`${headerSegment}.${payloadSegment}`),
+      { key, padding, saltLength, dsaEncoding },
+      Buffer.from(signatureSegment, "base64url")
+    );
+  } catch {
+    valid = false;
+  }
+  if (!valid) {
+    throw new InvalidTokenError("Token signature is invalid");
+  }
+
+  checkClaims(claims, config.issuer, config.audience);
+
+  return {
+    token,
+    clientId: claims.client_id || claims.azp || claims.sub,
+    scopes: scopesFromClaims(claims, config.scopeMap),
+    expiresAt: claims.exp,
+    extra: { subject: claims.sub, issuer: claims.iss },
+  };
+}
+
+/**
+ * The canonical URL of this protected resource: MCP_OAUTH_RESOURCE, or
+ * MCP_OAUTH_AUDIENCE when only that is set.
+ * @returns {string}
+ */
+export function resourceUrl() {
+  return process.env.MCP_OAUTH_RESOURCE || process.env.MCP_OAUTH_AUDIENCE;
+}
+
+/**
+ * The audience bearer JWTs must be issued for: MCP_OAUTH_AUDIENCE, or the
+ * resource URL.
+ * @returns {string}
+ */
+function expectedAudience() {
+  return process.env.MCP_OAUTH_AUDIENCE || resourceUrl();
+}
+
+/**
+ * URL of the protected resource metadata document, as advertised in
+ * WWW-Authenticate challenges.
+ * @param {Object} req - Express request.
+ * @returns {string}
+ */
+export function resourceMetadataUrl(req) {
+  return `${req.protocol}://${req.get("host")}/.well-known/oauth-protected-resource`;
+}
+
+/**
+ * Builds the RFC 9728 protected resource metadata document.
+ * @param {string[]} scopesSupported - Scopes that grant access to tools.
+ * @returns {Object}
+ */
+export function protectedResourceMetadata(scopesSupported) {
+  return {
+    resource: resourceUrl(),
+    authorization_servers: [process.env.MCP_OAUTH_ISSUER],
+    scopes_supported: scopesSupported,
+    bearer_methods_supported: ["header"],
+    resource_name: "BigCommerce API MCP server",
+  };
+}
@@ -0,0 +1,598 @@
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+
+/**
+ * Turns operations of a BigCommerce OpenAPI 3 specification into tool
+ * modules in the shape of the hand-written tools: an `executeFunction`
+ * calling bigcommerceRequest and an `apiTool` whose parameters come from
+ * the operation's path and query parameters and JSON request body.
+ */
+
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+// Schemas nested deeper than this are accepted as plain objects
+const MAX_SCHEMA_DEPTH = 4;
+const MAX_DESCRIPTION_LENGTH = 600;
+const MAX_PARAMETER_DESCRIPTION_LENGTH = 300;
+
+// Arguments every generated tool may add itself
+const RESERVED_ARGS = ["store", "dry_run", "bypass_cache", "fields", "compact", "body"];
+
+const JS_RESERVED_WORDS = new Set(
+  ("break case catch class const continue debugger default delete do else enum export extends " +
+    "false finally for function if import in instanceof let new null return static super switch " +
+    "this throw true try typeof var void while with yield await").split(" ")
+);
+
+// API path prefixes whose tools share an access category
+const CATEGORIES = {
+  catalog: "products",
+  customers: "customers",
+  orders: "orders",
+  store: "stores",
+};
+
+/**
+ * Reads an OpenAPI 3 document from a YAML or JSON file.
+ * @param {string} file - Path to the specification.
+ * @returns {Object}
+ * @throws {Error} When the file is not an OpenAPI 3 document.
+ */
+export function loadSpec(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const spec = /\.json$/i.test(file) ? JSON.parse(text) : YAML.parse(text);
+  if (!spec || typeof spec !== "object" || !String(spec.openapi || "").startsWith("3.")) {
+    throw new Error(`${file} is not an OpenAPI 3 document`);
+  }
+  return spec;
+}
+
+function resolveRef(spec, ref) {
+  if (!ref.startsWith("#/")) {
+    throw new Error(`External $ref ${ref} is not supported; bundle the specification first`);
+  }
+  let target = spec;
+  for (const part of ref.slice(2).split("/")) {
+    target = target?.[part.replace(/~1/g, "/").replace(/~0/g, "~")];
+  }
+  if (target === undefined) {
+    throw new Error(`Cannot resolve $ref ${ref}`);
+  }
+  return target;
+}
+
+function deref(spec, value, seen = new Set()) {
+  if (!value?.$ref) return value;
+  if (seen.has(value.$ref)) return {};
+  seen.add(value.$ref);
+  return deref(spec, resolveRef(spec, value.$ref), seen);
+}
+
+/**
+ * Lists the operations of a specification.
+ * @param {Object} spec - From loadSpec.
+ * @returns {Array<{operationId: string, method: string, path: string, tags: string[], summary: string, operation: Object, parameters: Object[]}>}
+ */
+export function listOperations(spec) {
+  const operations = [];
+  for (const [apiPath, rawItem] of Object.entries(spec.paths || {})) {
+    const item = deref(spec, rawItem);
+    for (const method of METHODS) {
+      const operation = item[method];
+      if (!operation) continue;
+
+      // Operation parameters override path-level ones with the same name and location
+      const parameters = new Map();
+      for (const raw of [...(item.parameters || []), ...(operation.parameters || [])]) {
+        const parameter = deref(spec, raw);
+        parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+      }
+
+      operations.push({
+        operationId: operation.operationId || `${method}${apiPath.replace(/[^A-Za-z0-9]+/g, "_")}`,
+        method: method.toUpperCase(),
+        path: apiPath,
+        tags: operation.tags || [],
+        summary: operation.summary || "",
+        operation,
+        parameters: [...parameters.values()],
+      });
+    }
+  }
+  return operations;
+}
+
+/**
+ * Picks operations by operationId (or generated tool name) and by tag.
+ * @param {Array} operations - From listOperations.
+ * @param {Object} selection
+ * @param {string[]} [selection.operations] - operationIds or tool names.
+ * @param {string[]} [selection.tags] - Tags, matched case-insensitively.
+ * @param {boolean} [selection.all] - Select every operation.
+ * @returns {Array}
+ * @throws {Error} When a requested operation or tag matches nothing.
+ */
+export function selectOperations(operations, { operations: ids = [], tags = [], all = false } = {}) {
+  if (all) return operations;
+
+  const unknown = [
+    ...ids.filter((id) => !operations.some((op) => op.operationId === id || toolName(op) === id)),
+    ...tags.filter((tag) => !operations.some((op) => op.tags.some((t) => t.toLowerCase() === tag.toLowerCase()))),
+  ];
+  if (unknown.length > 0) {
+    throw new Error(`No operations match: ${unknown.join(", ")}`);
+  }
+
+  return operations.filter(
+    (op) =>
+      ids.includes(op.operationId) ||
+      ids.includes(toolName(op)) ||
+      op.tags.some((tag) => tags.some((t) => t.toLowerCase() === tag.toLowerCase()))
+  );
+}
+
+/**
+ * The API path prefix of the specification's operations relative to the
+ * store, taken from the server URL (".../stores/{store_hash}/v3" -> "/v3").
+ * @param {Object} spec - From loadSpec.
+ * @returns {string}
+ * @throws {Error} When the server URL does not show the prefix.
+ */
+export function basePath(spec) {
+  for (const server of spec.servers || []) {
+    const match = /\{store_hash\}(\/[^?#]*)?$/.exec(server.url || "");
+    if (match) return (match[1] || "").replace(/\/$/, "");
+  }
+  throw new Error("Cannot derive the API version from the specification's servers; pass --base-path (e.g. /v3)");
+}
+
+/**
+ * Snake-cased tool name of an operation, e.g. "getProductById" -> "get_product_by_id".
+ * @param {{operationId: string}} operation
+ * @param {string} [prefix] - Prepended to the name.
+ * @returns {string}
+ */
+export function toolName({ operationId }, prefix = "") {
+  const name = operationId
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1_$2")
+    .replace(/[^A-Za-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .toLowerCase();
+  return `${prefix}${name}`;
+}
+
+/**
+ * Access category of an API path: catalog -> products, customers, orders,
+ * store -> stores, otherwise the first path segment.
+ * @param {string} apiPath - Operation path, e.g. "/catalog/products/{product_id}".
+ * @returns {string}
+ */
+export function categoryOf(apiPath) {
+  const segment = apiPath.split("/").find(Boolean) || "stores";
+  return CATEGORIES[segment] || segment.replace(/[^A-Za-z0-9]+/g, "_").toLowerCase();
+}
+
+function cleanText(text, maxLength) {
+  if (!text) return "";
+  const paragraph = String(text)
+    .split(/\n\s*\n/)
+    .map((part) => part.trim())
+    .find((part) => part && !part.startsWith("#")) || "";
+  const plain = paragraph
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/<[^>]+>/g, "")
+    .replace(/\*\*([^*]+)\*\*/g, "$1")
+    .replace(/`([^`]+)`/g, "$1")
+    // Descriptions end up in doc comments of the generated module
+    .replace(/\*\//g, "* /")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (plain.length <= maxLength) return plain;
+  const cut = plain.slice(0, maxLength);
+  const sentenceEnd = cut.lastIndexOf(". ");
+  return sentenceEnd > maxLength / 2 ? cut.slice(0, sentenceEnd + 1) : `${cut.trimEnd()}...`;
+}
+
+// Keeps spec-provided text from ending a doc comment of the generated module
+function commentText(text) {
+  return String(text).replace(/\*\//g, "* /").replace(/\s+/g, " ");
+}
+
+// Escapes characters of an API path that could end a doc comment, string
+// or template literal of the generated module; {parameters} are kept
+function encodePath(apiPath) {
+  return apiPath.replace(/[^\w\-.~/{}:@,;=+!&()%]/g, (char) =>
+    [...Buffer.from(char)].map((byte) => `%${byte.toString(16).toUpperCase().padStart(2, "0")}`).join("")
+  );
+}
+
+/**
+ * Converts an OpenAPI schema into the JSON Schema subset understood by
+ * lib/validation.js. allOf is merged, oneOf/anyOf accept any value and
+ * read-only properties are left out, since they cannot be sent.
+ */
+function convertSchema(spec, input, depth = 0) {
+  const schema = deref(spec, input);
+  if (!schema || typeof schema !== "object") return {};
+
+  if (schema.allOf) {
+    const parts = schema.allOf.map((part) => convertSchema(spec, part, depth));
+    const merged = { type: "object", properties: {}, required: [] };
+    for (const part of parts) {
+      Object.assign(merged.properties, part.properties);
+      merged.required.push(...(part.required || []));
+    }
+    const description = cleanText(schema.description, MAX_PARAMETER_DESCRIPTION_LENGTH);
+    if (description) merged.description = description;
+    if (merged.required.length === 0) delete merged.required;
+    return merged;
+  }
+
+  const result = {};
+  if (schema.type && !schema.oneOf && !schema.anyOf) {
+    result.type = schema.nullable ? [schema.type, "null"] : schema.type;
+  }
+  const description = cleanText(schema.description, MAX_PARAMETER_DESCRIPTION_LENGTH);
+  if (description) result.description = description;
+  for (const keyword of ["enum", "format", "minimum", "maximum", "minItems", "maxItems"]) {
+    if (schema[keyword] !== undefined) result[keyword] = schema[keyword];
+  }
+
+  if (schema.type === "array" && schema.items) {
+    result.items = depth < MAX_SCHEMA_DEPTH ? convertSchema(spec, schema.items, depth + 1) : {};
+  }
+  if (schema.properties && depth < MAX_SCHEMA_DEPTH) {
+    result.type = result.type || "object";
+    result.properties = {};
+    for (const [name, raw] of Object.entries(schema.properties)) {
+      if (deref(spec, raw)?.readOnly) continue;
+      result.properties[name] = convertSchema(spec, raw, depth + 1);
+    }
+    const required = (schema.required || []).filter((name) => name in result.properties);
+    if (required.length > 0) result.required = required;
+  }
+  return result;
+}
+
+function argName(name, taken) {
+  let arg = name.replace(/[^A-Za-z0-9_$]+/g, "_").replace(/^_+|_+$/g, "") || "value";
+  if (/^\d/.test(arg)) arg = `_${arg}`;
+  if (JS_RESERVED_WORDS.has(arg)) arg = `${arg}_`;
+  while (taken.has(arg)) arg = `${arg}_`;
+  taken.add(arg);
+  return arg;
+}
+
+function jsonBodySchema(spec, operation) {
+  const body = deref(spec, operation.requestBody);
+  const content = body?.content || {};
+  const mediaType = Object.keys(content).find((type) => /json/i.test(type));
+  if (!mediaType) return null;
+  return { schema: convertSchema(spec, content[mediaType].schema), required: Boolean(body.required) };
+}
+
+function successSchema(spec, operation) {
+  const responses = operation.responses || {};
+  const status = Object.keys(responses).find((code) => /^2\d\d$/.test(code));
+  const response = deref(spec, responses[status]);
+  const mediaType = Object.keys(response?.content || {}).find((type) => /json/i.test(type));
+  return mediaType ? deref(spec, response.content[mediaType].schema) : null;
+}
+
+function isListResponse(spec, schema) {
+  if (!schema) return false;
+  if (schema.type === "array") return true;
+  const parts = schema.allOf ? schema.allOf.map((part) => deref(spec, part)) : [schema];
+  return parts.some((part) => deref(spec, part.properties?.data)?.type === "array");
+}
+
+/**
+ * Describes the tool generated for an operation: its arguments and how
+ * each one is sent.
+ * @param {Object} spec - From loadSpec.
+ * @param {Object} op - From listOperations.
+ * @param {Object} options
+ * @param {string} options.basePath - API path prefix, e.g. "/v3".
+ * @param {string} [options.category] - Access category; derived from the path by default.
+ * @param {string} [options.prefix] - Tool name prefix.
+ * @returns {Object}
+ */
+export function describeOperation(spec, op, { basePath: prefixPath, category, prefix = "" }) {
+  const write = op.method !== "GET";
+  const taken = new Set(RESERVED_ARGS);
+  const args = [];
+
+  for (const parameter of op.parameters) {
+    if (parameter.in !== "path" && parameter.in !== "query") continue;
+    const schema = convertSchema(spec, parameter.schema || {});
+    const description = cleanText(parameter.description, MAX_PARAMETER_DESCRIPTION_LENGTH);
+    args.push({
+      name: argName(parameter.name, taken),
+      source: parameter.in,
+      key: parameter.name,
+      required: parameter.in === "path" || Boolean(parameter.required),
+      schema: { ...schema, ...(description ? { description } : {}) },
+    });
+  }
+
+  const body = write ? jsonBodySchema(spec, op.operation) : null;
+  let bodyMode = "none";
+  if (body) {
+    const properties = body.schema.properties;
+    if (body.schema.type === "object" && properties && Object.keys(properties).length > 0) {
+      bodyMode = "fields";
+      for (const [key, schema] of Object.entries(properties)) {
+        args.push({
+          name: argName(key, taken),
+          source: "body",
+          key,
+          required: body.required && (body.schema.required || []).includes(key),
+          schema,
+        });
+      }
+    } else {
+      bodyMode = "whole";
+      args.push({
+        name: "body",
+        source: "body",
+        required: body.required,
+        schema: { ...body.schema, description: body.schema.description || "Request body." },
+      });
+    }
+  }
+
+  return {
+    name: toolName(op, prefix),
+    operationId: op.operationId,
+    method: op.method,
+    path: encodePath(`${prefixPath}${op.path}`),
+    summary: cleanText(op.summary, MAX_DESCRIPTION_LENGTH),
+    description: cleanText(op.operation.description, MAX_DESCRIPTION_LENGTH),
+    category: category || categoryOf(op.path),
+    write,
+    list: !write && isListResponse(spec, successSchema(spec, op.operation)),
+    args,
+    bodyMode,
+  };
+}
+
+function quote(value) {
+  return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'").replace(/\n/g, "\\n")}'`;
+}
+
+function propertyKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : quote(key);
+}
+
+// Marks source code to be written as-is by toSource
+class Code {
+  constructor(code) {
+    this.code = code;
+  }
+}
+
+/**
+ * Renders a value as a JavaScript literal in the style of the tool files:
+ * single quotes, unquoted keys, two-space indentation. Keys starting with
+ * "..." render as spreads of the Code value.
+ */
+function toSource(value, indent = "") {
+  const inner = `${indent}  `;
+  if (value instanceof Code) return value.code;
+  if (typeof value === "string") return quote(value);
+  if (Array.isArray(value)) {
+    if (value.every((item) => item === null || typeof item !== "object")) {
+      return `[${value.map((item) => toSource(item)).join(", ")}]`;
+    }
+    return `[\n${value.map((item) => `${inner}${toSource(item, inner)}`).join(",\n")}\n${indent}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value).map(([key, item]) =>
+      key.startsWith("...") ? `${inner}...${item.code}` : `${inner}${propertyKey(key)}: ${toSource(item, inner)}`
+    );
+    return entries.length > 0 ? `{\n${entries.join(",\n")}\n${indent}}` : "{}";
+  }
+  return String(value);
+}
+
+function jsDocType(schema) {
+  const type = [].concat(schema.type || [])[0];
+  if (type === "integer" || type === "number") return "number";
+  if (type === "string" || type === "boolean") return type;
+  if (type === "array") return `${jsDocType(schema.items || {})}[]`;
+  if (type === "object") return "Object";
+  return "*";
+}
+
+// "Get All Brands" -> "get all brands"; acronyms such as "SKU" keep their case
+function sentenceCase(text) {
+  return text.replace(/\b[A-Z][a-z]+\b/g, (word) => word.toLowerCase()).replace(/\.$/, "");
+}
+
+/**
+ * Renders the source of the tool module for an operation.
+ * @param {Object} tool - From describeOperation.
+ * @param {Object} options
+ * @param {string} options.libPath - Import path of lib/ relative to the module, e.g. "../../../lib".
+ * @param {string} options.source - Specification file name, for the header comment.
+ * @returns {string}
+ */
+export function renderToolModule(tool, { libPath, source }) {
+  const summary = tool.summary || `${tool.method} ${tool.path}`;
+  const pathArgs = tool.args.filter((arg) => arg.source === "path");
+  const queryArgs = tool.args.filter((arg) => arg.source === "query");
+  const bodyArgs = tool.args.filter((arg) => arg.source === "body");
+
+  const docs = [
+    " * @param {Object} args - Arguments for the request.",
+    " * @param {string} [args.store] - Optional store alias. If not provided, uses the default store.",
+    ...tool.args.map((arg) => {
+      const name = arg.required ? `args.${arg.name}` : `[args.${arg.name}]`;
+      const fallback = arg.key ? `Value of the ${arg.key} ${arg.source === "body" ? "body field" : `${arg.source} parameter`}.` : "Request body.";
+      return ` * @param {${jsDocType(arg.schema)}} ${name} - ${arg.schema.description || fallback}`;
+    }),
+    ...(tool.write
+      ? [" * @param {boolean} [args.dry_run] - Return the request that would be sent without sending it."]
+      : [" * @param {boolean} [args.bypass_cache] - Fetch fresh data instead of a cached response."]),
+    ` * @returns {Promise<${tool.list ? "Array|Object" : "Object"}>} - The result of the API call.`,
+  ];
+
+  const clientImports = tool.write ? "bigcommerceRequest, describeRequest, toolError" : "bigcommerceRequest, toolError";
+  const outputSchema = tool.list
+    ? `recordListOutputSchema(${quote(summary)})`
+    : tool.write
+      ? "writeOutputSchema(recordOutputSchema)"
+      : "recordOutputSchema";
+  const schemaImports = tool.list
+    ? "recordListOutputSchema"
+    : tool.write
+      ? "recordOutputSchema, writeOutputSchema"
+      : "recordOutputSchema";
+  const imports = [
+    `import { ${clientImports} } from '${libPath}/client.js';`,
+    ...(tool.write ? [] : [`import { cacheParameters } from '${libPath}/cache.js';`]),
+    ...(tool.list ? [`import { projectionParameters } from '${libPath}/projection.js';`] : []),
+    `import { ${schemaImports} } from '${libPath}/schemas.js';`,
+    `import { logger } from '${libPath}/logger.js';`,
+  ];
+
+  const destructured = [
+    "store",
+    ...tool.args.map((arg) => arg.name),
+    tool.write ? "dry_run = false" : "bypass_cache = false",
+  ];
+  const signature = destructured.length > 4
+    ? `{\n${destructured.map((name) => `  ${name}`).join(",\n")}\n}`
+    : `{ ${destructured.join(", ")} }`;
+
+  let urlPath = tool.path;
+  for (const arg of pathArgs) {
+    urlPath = urlPath.split(encodePath(`{${arg.key}}`)).join(`\${encodeURIComponent(${arg.name})}`);
+  }
+
+  const pair = (arg) => (arg.key === arg.name ? arg.name : `${propertyKey(arg.key)}: ${arg.name}`);
+  const options = ["    store"];
+  if (tool.method !== "GET") options.push(`    method: '${tool.method}'`);
+  if (queryArgs.length > 0) options.push(`    query: { ${queryArgs.map(pair).join(", ")} }`);
+  if (tool.bodyMode === "whole") options.push("    body");
+  if (tool.bodyMode === "fields") options.push(`    body: { ${bodyArgs.map(pair).join(", ")} }`);
+  if (!tool.write) options.push("    bypassCache: bypass_cache");
+
+  const body = tool.write
+    ? [
+        "  try {",
+        "    if (dry_run) {",
+        "      return { dry_run: true, request: describeRequest(path, options) };",
+        "    }",
+        "",
+        "    const { data } = await bigcommerceRequest(path, options);",
+        "    // Some writes answer 204 No Content",
+        "    return data ?? { success: true };",
+      ]
+    : [
+        "  try {",
+        "    const { data } = await bigcommerceRequest(path, options);",
+        "    // Some endpoints answer 204 No Content when there is nothing to return",
+        `    return data ?? ${tool.list ? "[]" : "{}"};`,
+      ];
+
+  const properties = {
+    store: {
+      type: "string",
+      description: "Optional store alias (see list_stores). If not provided, uses the default store.",
+    },
+  };
+  for (const arg of tool.args) {
+    properties[arg.name] = arg.schema;
+  }
+  if (tool.write) {
+    properties.dry_run = {
+      type: "boolean",
+      description: "When true, return the exact request that would be sent without sending it.",
+    };
+  } else {
+    properties["...cacheParameters"] = new Code("cacheParameters");
+    if (tool.list) properties["...projectionParameters"] = new Code("projectionParameters");
+  }
+
+  const description = [
+    summary.endsWith(".") ? summary : `${summary}.`,
+    tool.description,
+    tool.write
+      ? "Use dry_run to preview the request first. Only available when the server allows writes."
+      : "Uses the default store unless a store alias is given.",
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  const apiTool = {
+    function: new Code("executeFunction"),
+    category: tool.category,
+    ...(tool.write ? { access: "write" } : {}),
+    definition: {
+      type: "function",
+      function: {
+        name: tool.name,
+        description,
+        parameters: {
+          type: "object",
+          properties,
+          required: tool.args.filter((arg) => arg.required).map((arg) => arg.name),
+          additionalProperties: false,
+        },
+        outputSchema: new Code(outputSchema),
+      },
+    },
+  };
+
+  return `/**
+ * Function to ${sentenceCase(summary)} (${tool.method} ${tool.path}).
+ * Generated from ${commentText(source)} (operation ${commentText(tool.operationId)}) by \`node index.js generate\`.
+ *
+${docs.join("\n")}
+ */
+${imports.join("\n")}
+
+const executeFunction = async (${signature} = {}) => {
+  const path = ${pathArgs.length > 0 ? `\`${urlPath}\`` : quote(urlPath)};
+  const options = {
+${options.join(",\n")}
+  };
+
+${body.join("\n")}
+  } catch (error) {
+    logger.error('Error calling ${tool.name}', { error });
+    return toolError('calling ${tool.name}', error);
+  }
+};
+
+/**
+ * Tool configuration to ${sentenceCase(summary)}.
+ * @type {Object}
+ */
+const apiTool = ${toSource(apiTool)};
+
+export { apiTool };
+`;
+}
+
+/**
+ * File name of a generated tool, e.g. "get_product_by_id" -> "get-product-by-id.js".
+ * @param {{name: string}} tool
+ * @returns {string}
+ */
+export function toolFileName(tool) {
+  return `${tool.name.replace(/_/g, "-")}.js`;
+}
+
+/**
+ * Import path of lib/ as seen from a directory, in POSIX form.
+ * @param {string} directory - Directory the module is written to.
+ * @param {string} libDirectory - Absolute path of lib/.
+ * @returns {string}
+ */
+export function libImportPath(directory, libDirectory) {
+  return path.relative(directory, libDirectory).split(path.sep).join("/");
+}
@@ -0,0 +1,137 @@
+import { bigcommerceRequest } from "./client.js";
+
+const DEFAULT_MAX_PAGES = 20;
+const DEFAULT_MAX_RECORDS = 5000;
+const DEFAULT_MAX_DURATION_MS = 60000;
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Returns the hard caps applied to every fetch-all collection. Tool arguments
+ * may lower the page and record caps but never raise them above these.
+ */
+export function getCollectionLimits() {
+  return {
+    maxPages: envNumber("MCP_FETCH_ALL_MAX_PAGES", DEFAULT_MAX_PAGES),
+    maxRecords: envNumber("MCP_FETCH_ALL_MAX_RECORDS", DEFAULT_MAX_RECORDS),
+    maxDurationMs: envNumber("MCP_FETCH_ALL_MAX_DURATION_MS", DEFAULT_MAX_DURATION_MS),
+  };
+}
+
+function clampLimit(requested, hardCap) {
+  return requested && requested > 0 ? Math.min(requested, hardCap) : hardCap;
+}
+
+/**
+ * Reads the query string of a v3 `meta.pagination.links.next` value
+ * (e.g. "?page=2&limit=50") into a plain object.
+ */
+function parseNextLink(next) {
+  if (!next) return null;
+  const queryString = next.includes("?") ? next.slice(next.indexOf("?") + 1) : next;
+  return Object.fromEntries(new URLSearchParams(queryString));
+}
+
+/**
+ * Collects every page of a BigCommerce list endpoint.
+ *
+ * v3 endpoints are followed through `meta.pagination.links.next`; v2
+ * endpoints are paged until an empty, short or 204 response. Collection stops
+ * early when the page, record or elapsed-time cap is hit, and the returned
+ * `meta.collection` reports whether the result was truncated.
+ *
+ * @param {string} path - API path relative to the store, e.g. "/v2/orders".
+ * @param {Object} options
+ * @param {string} [options.store] - Store alias passed to the client.
+ * @param {Object} [options.query] - Query parameters for the first page.
+ * @param {string} [options.apiVersion] - "v3" (default) or "v2".
+ * @param {number} [options.maxPages] - Page cap requested by the caller.
+ * @param {number} [options.maxRecords] - Record cap requested by the caller.
+ * @param {boolean} [options.bypassCache] - Skip cached pages.
+ * @returns {Promise<{data: Array, meta: Object}>}
+ */
+export async function fetchAllPages(path, options = {}) {
+  const { store, query = {}, apiVersion = "v3", bypassCache = false } = options;
+  const limits = getCollectionLimits();
+  const maxPages = clampLimit(options.maxPages, limits.maxPages);
+  const maxRecords = clampLimit(options.maxRecords, limits.maxRecords);
+  const deadline = Date.now() + limits.maxDurationMs;
+
+  const records = [];
+  let pageQuery = { ...query, page: query.page || 1 };
+  let pagesFetched = 0;
+  let lastPagination;
+  let truncatedReason = null;
+
+  while (pageQuery) {
+    if (pagesFetched >= maxPages) {
+      truncatedReason = "max_pages";
+      break;
+    }
+    if (Date.now() >= deadline) {
+      truncatedReason = "max_duration";
+      break;
+    }
+
+    const { data } = await bigcommerceRequest(path, { store, query: pageQuery, bypassCache });
+    pagesFetched++;
+
+    const pageRecords = apiVersion === "v2" ? data || [] : data?.data || [];
+    records.push(...pageRecords);
+
+    if (apiVersion === "v2") {
+      const pageSize = Number(pageQuery.limit) || 50;
+      pageQuery = pageRecords.length >= pageSize
+        ? { ...pageQuery, page: Number(pageQuery.page) + 1 }
+        : null;
+    } else {
+      lastPagination = data?.meta?.pagination;
+      const next = parseNextLink(lastPagination?.links?.next);
+      pageQuery = next ? { ...query, ...next } : null;
+    }
+
+    if (records.length > maxRecords || (pageQuery && records.length === maxRecords)) {
+      records.length = maxRecords;
+      truncatedReason = "max_records";
+      break;
+    }
+  }
+
+  return {
+    data: records,
+    meta: {
+      ...(lastPagination ? { pagination: lastPagination } : {}),
+      collection: {
+        pages_fetched: pagesFetched,
+        records: records.length,
+        total_available: lastPagination?.total,
+        truncated: truncatedReason !== null,
+        truncated_reason: truncatedReason,
+        limits: { max_pages: maxPages, max_records: maxRecords, max_duration_ms: limits.maxDurationMs },
+      },
+    },
+  };
+}
+
+/**
+ * JSON Schema properties shared by list tools that support fetch-all mode.
+ */
+export const fetchAllParameters = {
+  all_pages: {
+    type: "boolean",
+    description: "Fetch every page instead of a single page. Results are capped by max_pages, max_records and a server time limit; meta.collection reports whether the result was truncated.",
+  },
+  max_pages: {
+    type: "integer",
+    minimum: 1,
+    description: "Maximum number of pages to fetch when all_pages is true (cannot exceed the server limit).",
+  },
+  max_records: {
+    type: "integer",
+    minimum: 1,
+    description: "Maximum number of records to return when all_pages is true (cannot exceed the server limit).",
+  },
+};
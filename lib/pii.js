@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+/**
+ * PII redaction for tool results and resources. A policy maps field names
+ * to an action, applied to matching fields at any depth of a result:
+ * - "mask": keep a hint of the value ("j***@example.com", "*******89")
+ * - "hash": replace with a salted SHA-256 digest, so equal values still match
+ * - "drop": remove the field
+ * mask and hash apply to strings; other values of a listed field are dropped
+ * so results keep their declared types.
+ */
+
+const builtInPolicies = {
+  none: {},
+  standard: {
+    email: "mask",
+    phone: "mask",
+    street_1: "drop",
+    street_2: "drop",
+    address1: "drop",
+    address2: "drop",
+    registration_ip_address: "drop",
+    ip_address: "drop",
+  },
+  strict: {
+    email: "hash",
+    phone: "drop",
+    first_name: "mask",
+    last_name: "mask",
+    company: "mask",
+    street_1: "drop",
+    street_2: "drop",
+    address1: "drop",
+    address2: "drop",
+    zip: "drop",
+    postal_code: "drop",
+    registration_ip_address: "drop",
+    ip_address: "drop",
+    customer_message: "drop",
+    notes: "drop",
+  },
+};
+
+const ACTIONS = ["mask", "hash", "drop"];
+
+let policies;
+
+/**
+ * Loads custom policies from MCP_PII_POLICIES_FILE or MCP_PII_POLICIES,
+ * a JSON object of `{ "<name>": { "<field>": "mask" | "hash" | "drop" } }`,
+ * merged over the built-in "none", "standard" and "strict" policies.
+ */
+function loadPolicies() {
+  let custom = {};
+  if (process.env.MCP_PII_POLICIES_FILE) {
+    custom = JSON.parse(fs.readFileSync(path.resolve(process.env.MCP_PII_POLICIES_FILE), "utf8"));
+  } else if (process.env.MCP_PII_POLICIES) {
+    custom = JSON.parse(process.env.MCP_PII_POLICIES);
+  }
+
+  for (const [name, fields] of Object.entries(custom)) {
+    for (const [field, action] of Object.entries(fields)) {
+      if (!ACTIONS.includes(action)) {
+        throw new Error(`PII policy "${name}": field "${field}" has unknown action "${action}"`);
+      }
+    }
+  }
+  return { ...builtInPolicies, ...custom };
+}
+
+function getPolicies() {
+  if (!policies) {
+    policies = loadPolicies();
+  }
+  return policies;
+}
+
+/**
+ * Picks the policy for a request: the `pii_policy` of the caller's API
+ * token, else the deployment's MCP_PII_POLICY, else "none".
+ * @param {Object} [authInfo] - The MCP AuthInfo of the request.
+ * @returns {{name: string, fields: Object}}
+ * @throws {Error} When the selected policy is not defined.
+ */
+export function resolvePolicy(authInfo) {
+  const name = authInfo?.extra?.piiPolicy || process.env.MCP_PII_POLICY || "none";
+  const fields = getPolicies()[name];
+  if (!fields) {
+    throw new Error(`Unknown PII policy "${name}"`);
+  }
+  return { name, fields };
+}
+
+function mask(value) {
+  const at = value.indexOf("@");
+  if (at > 0) {
+    return `${value[0]}***${value.slice(at)}`;
+  }
+  const visible = value.length > 4 ? 2 : 0;
+  return `${"*".repeat(value.length - visible)}${value.slice(value.length - visible)}`;
+}
+
+function hash(value) {
+  const salt = process.env.MCP_PII_HASH_SALT || "";
+  return `sha256:${crypto.createHash("sha256").update(salt + value).digest("hex").slice(0, 16)}`;
+}
+
+function redactValue(value, fields, redacted) {
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValue(item, fields, redacted));
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const action = fields[key];
+    if (!action || item === null || item === undefined || item === "") {
+      result[key] = redactValue(item, fields, redacted);
+      continue;
+    }
+    redacted.add(key);
+    if (action === "drop" || typeof item !== "string") continue;
+    result[key] = action === "mask" ? mask(item) : hash(item);
+  }
+  return result;
+}
+
+/**
+ * Applies a policy to a tool result or resource. When anything was
+ * redacted, the result carries `_redaction: { policy, fields }`; bare
+ * arrays are wrapped as `{ data }` to hold it.
+ * @param {*} result - Tool result or resource data.
+ * @param {{name: string, fields: Object}} policy - From resolvePolicy.
+ * @returns {*} A redacted copy, or `result` itself when nothing matched.
+ */
+export function applyPiiPolicy(result, policy) {
+  if (Object.keys(policy.fields).length === 0 || result === null || typeof result !== "object") {
+    return result;
+  }
+
+  const redacted = new Set();
+  const value = redactValue(result, policy.fields, redacted);
+  if (redacted.size === 0) {
+    return result;
+  }
+
+  const marker = { policy: policy.name, fields: [...redacted].sort() };
+  return Array.isArray(value) ? { data: value, _redaction: marker } : { ...value, _redaction: marker };
+}
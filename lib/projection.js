@@ -0,0 +1,157 @@
+/**
+ * Shapes list results before they are returned to the client: `fields`
+ * keeps only the listed (possibly nested) fields of each record, `compact`
+ * drops null and empty values, and results larger than the size
+ * limit lose their trailing records.
+ */
+
+const DEFAULT_MAX_RESULT_CHARS = 100000;
+
+/**
+ * Maximum size of a tool result as serialized JSON, from
+ * MCP_RESULT_MAX_CHARS (0 disables the limit).
+ * @returns {number}
+ */
+export function getMaxResultChars() {
+  const value = Number(process.env.MCP_RESULT_MAX_CHARS);
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_MAX_RESULT_CHARS;
+}
+
+/**
+ * Turns ["id", "billing_address.country", "billing_address.city"] into
+ * { id: true, billing_address: { country: true, city: true } }. A field
+ * listed both whole and by path is kept whole.
+ */
+function buildTree(fields) {
+  const tree = {};
+  for (const field of fields) {
+    const parts = field.split(".").filter(Boolean);
+    let node = tree;
+    parts.forEach((part, index) => {
+      if (node[part] === true) return;
+      if (index === parts.length - 1) {
+        node[part] = true;
+      } else {
+        node[part] = node[part] || {};
+        node = node[part];
+      }
+    });
+  }
+  return tree;
+}
+
+function project(value, tree) {
+  if (Array.isArray(value)) {
+    return value.map((item) => project(item, tree));
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+
+  const result = {};
+  for (const [key, subtree] of Object.entries(tree)) {
+    if (!(key in value)) continue;
+    result[key] = subtree === true ? value[key] : project(value[key], subtree);
+  }
+  return result;
+}
+
+function isEmpty(value) {
+  return (
+    value === null ||
+    value === undefined ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0) ||
+    (typeof value === "object" && !Array.isArray(value) && Object.keys(value).length === 0)
+  );
+}
+
+function compactValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(compactValue);
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const compacted = compactValue(item);
+    if (!isEmpty(compacted)) {
+      result[key] = compacted;
+    }
+  }
+  return result;
+}
+
+/**
+ * Applies `fields` and `compact` to the records of a list result. Other
+ * results, and the `meta` of lists, are returned unchanged.
+ * @param {*} result - Tool result: a bare array or `{ data: [...], meta }`.
+ * @param {Object} options
+ * @param {string[]} [options.fields] - Field paths to keep, e.g. "billing_address.country".
+ * @param {boolean} [options.compact] - Drop null and empty values; false is kept.
+ * @returns {*}
+ */
+export function projectResult(result, { fields, compact = false } = {}) {
+  const records = Array.isArray(result) ? result : result?.data;
+  if (!Array.isArray(records) || (!fields?.length && !compact)) {
+    return result;
+  }
+
+  let shaped = records;
+  if (fields?.length) {
+    shaped = project(shaped, buildTree(fields));
+  }
+  if (compact) {
+    shaped = compactValue(shaped);
+  }
+  return Array.isArray(result) ? shaped : { ...result, data: shaped };
+}
+
+/**
+ * Drops trailing records of a list result until its JSON fits in
+ * MCP_RESULT_MAX_CHARS. A truncated result carries
+ * `_truncation: { records_returned, records_omitted, max_chars }`; bare
+ * arrays are wrapped as `{ data }` to hold it.
+ * @param {*} result - Tool result.
+ * @returns {*} The result itself when it fits or is not a list.
+ */
+export function truncateResult(result) {
+  const maxChars = getMaxResultChars();
+  const records = Array.isArray(result) ? result : result?.data;
+  if (maxChars === 0 || !Array.isArray(records) || JSON.stringify(result).length <= maxChars) {
+    return result;
+  }
+
+  const wrapped = Array.isArray(result) ? { data: result } : result;
+  const marker = { records_returned: records.length, records_omitted: 0, max_chars: maxChars };
+  // Room for the marker and the separators between records
+  let size = JSON.stringify({ ...wrapped, data: [], _truncation: marker }).length + 16;
+  let kept = 0;
+  for (const record of records) {
+    size += JSON.stringify(record).length + 1;
+    if (size > maxChars) break;
+    kept++;
+  }
+
+  marker.records_returned = kept;
+  marker.records_omitted = records.length - kept;
+  return { ...wrapped, data: records.slice(0, kept), _truncation: marker };
+}
+
+/**
+ * JSON Schema properties shared by list tools.
+ */
+export const projectionParameters = {
+  fields: {
+    type: "array",
+    items: { type: "string" },
+    minItems: 1,
+    description: "Only return these fields of each record. Nested fields use dots (e.g. [\"id\", \"status\", \"billing_address.country\"]).",
+  },
+  compact: {
+    type: "boolean",
+    description: "Leave out null and empty values from each record; false flags are kept (default false).",
+  },
+};
@@ -0,0 +1,150 @@
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+
+const storeArgument = {
+  name: "store",
+  description: "Optional store alias (see list_stores). Defaults to the default store.",
+  required: false,
+};
+
+function storeClause(store) {
+  return store ? ` Pass store "${store}" to every tool call.` : "";
+}
+
+/**
+ * Prompt templates for common commerce workflows. Each entry's `build`
+ * receives the validated arguments and returns the prompt text.
+ */
+const prompts = [
+  {
+    name: "customer_account_review",
+    title: "Customer account review",
+    description: "Review a customer's profile, order history and lifetime value.",
+    arguments: [
+      { name: "customer_id", description: "The BigCommerce customer ID.", required: true },
+      storeArgument,
+    ],
+    build: ({ customer_id, store }) => `Review the account of BigCommerce customer ${customer_id}.${storeClause(store)}
+
+1. Call get_all_customers with id "${customer_id}" and include "addresses,storecredit,attributes" to load the profile.
+2. Call get_all_orders with customer_id ${customer_id}, sort "date_created:desc" and all_pages true to load the order history.
+3. For the three most recent orders, call get_order_products to see what was bought.
+
+Summarize:
+- Who the customer is (name, company, customer group, account age) and their addresses
+- Lifetime order count, lifetime revenue and average order value
+- Recent purchases and recurring products
+- Refunds, cancellations or other signs of trouble
+- Suggested follow-up actions for the account manager`,
+  },
+  {
+    name: "daily_sales_digest",
+    title: "Daily sales digest",
+    description: "Summarize orders and revenue for a single day.",
+    arguments: [
+      { name: "date", description: "The day to report on (YYYY-MM-DD).", required: true },
+      storeArgument,
+    ],
+    build: ({ date, store }) => `Prepare a sales digest for ${date}.${storeClause(store)}
+
+1. Call get_all_orders with min_date_created "${date}T00:00:00Z", max_date_created "${date}T23:59:59Z" and all_pages true.
+2. If meta.collection.truncated is true, say so prominently and treat every figure as a lower bound.
+3. For the five largest orders, call get_order_products to find the best-selling products.
+
+Report:
+- Number of orders and total revenue, with average order value
+- Breakdown by order status and by payment method
+- Top products by quantity and by revenue
+- New versus returning customers, where customer_id allows it
+- Anything unusual (large refunds, many cancellations, orders stuck awaiting payment)`,
+  },
+  {
+    name: "order_investigation",
+    title: "Order investigation",
+    description: "Investigate a single order end to end: items, shipping, payments and discounts.",
+    arguments: [
+      { name: "order_id", description: "The BigCommerce order ID.", required: true },
+      storeArgument,
+    ],
+    build: ({ order_id, store }) => `Investigate BigCommerce order ${order_id}.${storeClause(store)}
+
+Call get_order, get_order_products, get_order_shipping_addresses, get_order_shipments, get_order_transactions and get_order_coupons for order ${order_id}.
+
+Then explain:
+- What was ordered, by whom, and the current status
+- Where it ships and whether every line item has been shipped (compare quantities against shipments)
+- Tracking numbers and carriers
+- Payment history, including failed, refunded or partially captured transactions
+- Coupons and discounts applied
+- Any inconsistency a support agent should act on, with a suggested next step`,
+  },
+  {
+    name: "catalog_health_check",
+    title: "Catalog health check",
+    description: "Find catalog problems: stock-outs, low stock, hidden products and missing images.",
+    arguments: [
+      {
+        name: "low_stock_threshold",
+        description: "Inventory level at or below which a product counts as low stock (default 5).",
+        required: false,
+      },
+      storeArgument,
+    ],
+    build: ({ low_stock_threshold = "5", store }) => `Run a health check of the BigCommerce catalog.${storeClause(store)}
+
+1. Call get_all_products with is_visible true, inventory_level 0 and all_pages true to find visible products that are out of stock.
+2. Call get_all_products with is_visible true, inventory_level_min 1, inventory_level_max ${low_stock_threshold} and all_pages true to find low-stock products.
+3. Call get_all_products with is_visible false and all_pages true to find hidden products.
+4. Call get_all_products with is_visible true, include "images" and all_pages true, and look for products without images.
+
+Report each group with product ID, name, SKU and inventory level, highlight the most urgent problems first, and note whether any result was truncated.`,
+  },
+];
+
+/**
+ * Lists the available prompts without their templates.
+ * @returns {Array<Object>}
+ */
+export function listPrompts() {
+  return prompts.map(({ name, title, description, arguments: args }) => ({
+    name,
+    title,
+    description,
+    arguments: args,
+  }));
+}
+
+/**
+ * Renders a prompt with the given arguments.
+ * @param {string} name - Prompt name.
+ * @param {Object} [args] - Prompt arguments (all strings).
+ * @returns {{description: string, messages: Array<Object>}}
+ * @throws {McpError} InvalidParams for unknown prompts or missing arguments.
+ */
+export function getPrompt(name, args = {}) {
+  const prompt = prompts.find((p) => p.name === name);
+  if (!prompt) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+
+  for (const argument of prompt.arguments) {
+    if (argument.required && !args[argument.name]) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Missing required argument: ${argument.name}`
+      );
+    }
+  }
+
+  return {
+    description: prompt.description,
+    messages: [
+      {
+        role: "user",
+        content: {
+          type: "text",
+          text: prompt.build(args),
+        },
+      },
+    ],
+  };
+}
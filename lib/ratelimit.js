@@ -0,0 +1,145 @@
+/**
+ * Inbound rate limiting for the HTTP transports: a token bucket per API
+ * token (or per client IP for unauthenticated requests), and a stricter one
+ * per client IP for failed authentication attempts.
+ */
+
+const DEFAULT_PER_MINUTE = 300;
+const DEFAULT_BURST = 60;
+const DEFAULT_AUTH_FAILURES_PER_MINUTE = 10;
+const DEFAULT_AUTH_FAILURE_BURST = 10;
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+const buckets = new Map();
+const authFailureBuckets = new Map();
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Returns the configured limits. MCP_RATE_LIMIT_PER_MINUTE=0 disables
+ * inbound rate limiting.
+ */
+function getLimits() {
+  const perMinute = envNumber("MCP_RATE_LIMIT_PER_MINUTE", DEFAULT_PER_MINUTE);
+  return {
+    perMinute,
+    burst: Math.max(1, envNumber("MCP_RATE_LIMIT_BURST", DEFAULT_BURST)),
+  };
+}
+
+/**
+ * Limits on failed authentication attempts per client IP.
+ * MCP_AUTH_FAILURES_PER_MINUTE=0 disables them.
+ */
+function getAuthFailureLimits() {
+  const perMinute = envNumber("MCP_AUTH_FAILURES_PER_MINUTE", DEFAULT_AUTH_FAILURES_PER_MINUTE);
+  return {
+    perMinute,
+    burst: Math.max(1, envNumber("MCP_AUTH_FAILURE_BURST", DEFAULT_AUTH_FAILURE_BURST)),
+  };
+}
+
+function clientKey(req) {
+  return req.auth?.clientId ? `token:${req.auth.clientId}` : `ip:${req.ip}`;
+}
+
+/**
+ * Takes one request from the caller's bucket.
+ * @returns {number} 0 when allowed, otherwise milliseconds until a request is allowed again.
+ */
+function consume(key, limits, store = buckets) {
+  const bucket = refill(key, limits, store);
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil((1 - bucket.tokens) / (limits.perMinute / 60000));
+}
+
+function refill(key, { perMinute, burst }, store) {
+  const now = Date.now();
+  const bucket = store.get(key) || { tokens: burst, updatedAt: now };
+  bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * (perMinute / 60000));
+  bucket.updatedAt = now;
+  store.set(key, bucket);
+  return bucket;
+}
+
+// Buckets that have refilled completely carry no state worth keeping
+function prune(store, { perMinute, burst }) {
+  const now = Date.now();
+  for (const [key, bucket] of store) {
+    if (bucket.tokens + (now - bucket.updatedAt) * (perMinute / 60000) >= burst) {
+      store.delete(key);
+    }
+  }
+}
+
+const pruneTimer = setInterval(() => {
+  prune(buckets, getLimits());
+  prune(authFailureBuckets, getAuthFailureLimits());
+}, PRUNE_INTERVAL_MS);
+pruneTimer.unref();
+
+function tooManyRequests(req, res, waitMs) {
+  const retryAfter = Math.ceil(waitMs / 1000);
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    jsonrpc: "2.0",
+    error: {
+      code: -32000,
+      message: `Rate limit exceeded, retry after ${retryAfter}s`,
+      data: { retry_after_seconds: retryAfter },
+    },
+    id: req.body?.id ?? null,
+  });
+}
+
+/**
+ * Express middleware limiting failed authentication attempts per client IP,
+ * so tokens cannot be guessed at the rate of the regular limit. Mount it
+ * before authenticateRequest: every 401 answered to an IP takes from its
+ * bucket, and once the bucket is empty the IP gets HTTP 429 without its
+ * token being checked.
+ */
+export function limitAuthFailures(req, res, next) {
+  const limits = getAuthFailureLimits();
+  if (limits.perMinute === 0) {
+    return next();
+  }
+
+  const key = `ip:${req.ip}`;
+  const bucket = refill(key, limits, authFailureBuckets);
+  if (bucket.tokens < 1) {
+    return tooManyRequests(req, res, (1 - bucket.tokens) / (limits.perMinute / 60000));
+  }
+
+  res.on("finish", () => {
+    if (res.statusCode === 401) {
+      consume(key, limits, authFailureBuckets);
+    }
+  });
+  next();
+}
+
+/**
+ * Express middleware limiting requests per API token, or per client IP when
+ * the request is unauthenticated. Mount it after authenticateRequest so
+ * `req.auth` is known. Rejected requests get HTTP 429 with Retry-After and a
+ * JSON-RPC error carrying the request id.
+ */
+export function rateLimitRequest(req, res, next) {
+  const limits = getLimits();
+  if (limits.perMinute === 0) {
+    return next();
+  }
+
+  const waitMs = consume(clientKey(req), limits);
+  if (waitMs === 0) {
+    return next();
+  }
+  return tooManyRequests(req, res, waitMs);
+}
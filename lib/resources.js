@@ -0,0 +1,179 @@
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { BigCommerceApiError, bigcommerceRequest } from "./client.js";
+import { describeStores, getStoreAliases } from "./stores.js";
+import { isAllowed } from "./auth.js";
+import { applyPiiPolicy, resolvePolicy } from "./pii.js";
+
+const SCHEME = "bigcommerce:";
+
+/**
+ * Resource templates advertised through resources/templates/list. Every URI
+ * accepts an optional `?store=<alias>` query to target a non-default store.
+ */
+const resourceTemplates = [
+  {
+    uriTemplate: "bigcommerce://orders/{id}",
+    name: "order",
+    title: "BigCommerce order",
+    description: "A single order with its line items.",
+    mimeType: "application/json",
+  },
+  {
+    uriTemplate: "bigcommerce://customers/{id}",
+    name: "customer",
+    title: "BigCommerce customer",
+    description: "A single customer with addresses.",
+    mimeType: "application/json",
+  },
+  {
+    uriTemplate: "bigcommerce://products/{id}",
+    name: "product",
+    title: "BigCommerce product",
+    description: "A single catalog product with variants and images.",
+    mimeType: "application/json",
+  },
+];
+
+async function readOrder(id, store) {
+  const { data: order } = await bigcommerceRequest(`/v2/orders/${id}`, { store });
+  const { data: products } = await bigcommerceRequest(`/v2/orders/${id}/products`, {
+    store,
+    query: { limit: 250 },
+  });
+  return { ...order, products: products ?? [] };
+}
+
+async function readCustomer(id, store) {
+  const { data } = await bigcommerceRequest("/v3/customers", {
+    store,
+    query: { "id:in": id, include: "addresses" },
+  });
+  const customer = data?.data?.[0];
+  if (!customer) {
+    throw new McpError(ErrorCode.InvalidParams, `Customer ${id} not found`);
+  }
+  return customer;
+}
+
+async function readProduct(id, store) {
+  const { data } = await bigcommerceRequest(`/v3/catalog/products/${id}`, {
+    store,
+    query: { include: "variants,images" },
+  });
+  return data?.data;
+}
+
+async function readStoreInfo(store) {
+  const { data } = await bigcommerceRequest("/v2/store", { store });
+  return data;
+}
+
+const entityReaders = {
+  orders: readOrder,
+  customers: readCustomer,
+  products: readProduct,
+};
+
+// Resource hosts map to the tool categories used by token scopes
+function categoryOf(hostname) {
+  return hostname === "store" ? "stores" : hostname;
+}
+
+function canRead(authInfo, hostname) {
+  return isAllowed(authInfo, { category: categoryOf(hostname), access: "read" });
+}
+
+function storeQuery(alias, isDefault) {
+  return isDefault ? "" : `?store=${encodeURIComponent(alias)}`;
+}
+
+/**
+ * Lists concrete resources: the store info document of every configured store.
+ * @param {Object} [authInfo] - The MCP AuthInfo of the request.
+ * @returns {Array<Object>}
+ */
+export function listResources(authInfo) {
+  if (!canRead(authInfo, "store")) return [];
+  return describeStores().stores.map(({ alias, is_default }) => ({
+    uri: `bigcommerce://store/info${storeQuery(alias, is_default)}`,
+    name: `store-info-${alias}`,
+    title: `Store info (${alias})`,
+    description: `Settings, currency, address and plan of the "${alias}" store.`,
+    mimeType: "application/json",
+  }));
+}
+
+/**
+ * Lists the resource templates for individual orders, customers and products.
+ * @param {Object} [authInfo] - The MCP AuthInfo of the request.
+ * @returns {Array<Object>}
+ */
+export function listResourceTemplates(authInfo) {
+  return resourceTemplates.filter(({ uriTemplate }) =>
+    canRead(authInfo, new URL(uriTemplate).hostname)
+  );
+}
+
+/**
+ * Reads a bigcommerce:// resource.
+ * @param {string} uri - Resource URI, e.g. "bigcommerce://orders/123?store=eu".
+ * @param {Object} [authInfo] - The MCP AuthInfo of the request.
+ * @returns {Promise<{contents: Array<Object>}>}
+ * @throws {McpError} InvalidParams for unknown or missing resources and
+ *   unknown store aliases, InvalidRequest when the caller's scopes do not cover the resource.
+ */
+export async function readResource(uri, authInfo) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid resource URI: ${uri}`);
+  }
+  if (url.protocol !== SCHEME) {
+    throw new McpError(ErrorCode.InvalidParams, `Unsupported resource URI: ${uri}`);
+  }
+
+  if (!canRead(authInfo, url.hostname)) {
+    throw new McpError(
+      ErrorCode.InvalidRequest,
+      `Not authorized to read ${categoryOf(url.hostname)} resources`
+    );
+  }
+
+  const store = url.searchParams.get("store") || undefined;
+  // A bad alias is the caller's mistake, like an invalid tool argument
+  if (store && !getStoreAliases().includes(store)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown store "${store}". Configured stores: ${getStoreAliases().join(", ")}`
+    );
+  }
+  const [id, ...rest] = url.pathname.split("/").filter(Boolean);
+
+  let data;
+  try {
+    if (url.hostname === "store" && id === "info" && rest.length === 0) {
+      data = await readStoreInfo(store);
+    } else if (entityReaders[url.hostname] && /^\d+$/.test(id || "") && rest.length === 0) {
+      data = await entityReaders[url.hostname](id, store);
+    } else {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+    }
+  } catch (error) {
+    if (error instanceof McpError) throw error;
+    if (error instanceof BigCommerceApiError && error.status === 404) {
+      throw new McpError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+    }
+    throw new McpError(ErrorCode.InternalError, `Failed to read ${uri}: ${error.message}`);
+  }
+
+  return {
+    contents: [
+      {
+        uri,
+        mimeType: "application/json",
+        text: JSON.stringify(applyPiiPolicy(data, resolvePolicy(authInfo)), null, 2),
+      },
+    ],
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Converts what a tool function returned into an MCP CallToolResult.
+ *
+ * Tools that declare an outputSchema get their payload as structuredContent,
+ * and the text block holds a short summary followed by the payload as
+ * compact JSON for clients that only read content. MCP_RESULT_TEXT=summary
+ * leaves the JSON out of the text block.
+ */
+
+/**
+ * Wraps bare arrays (v2 list endpoints) so structured results are always objects.
+ * @param {*} result - Tool result.
+ * @returns {Object}
+ */
+export function toStructuredContent(result) {
+  return Array.isArray(result) ? { data: result } : result;
+}
+
+/**
+ * Builds a one-line description of a tool result.
+ * @param {*} result - Tool result.
+ * @returns {string}
+ */
+export function summarizeResult(result) {
+  if (result?.dry_run) {
+    const { method, url } = result.request || {};
+    return `Dry run: would send ${method} ${url}`;
+  }
+
+  const redaction = result?._redaction
+    ? ` Redacted by PII policy "${result._redaction.policy}": ${result._redaction.fields.join(", ")}.`
+    : "";
+
+  const records = Array.isArray(result) ? result : result?.data;
+  if (!Array.isArray(records)) {
+    return `${result?.id !== undefined ? `Returned record ${result.id}.` : "Returned 1 result."}${redaction}`;
+  }
+
+  let summary = `Found ${records.length} items`;
+  const pagination = result?.meta?.pagination;
+  const collection = result?.meta?.collection;
+  if (collection) {
+    summary += ` across ${collection.pages_fetched} pages`;
+    if (collection.truncated) {
+      summary += ` (truncated: ${collection.truncated_reason})`;
+    }
+  } else if (pagination) {
+    summary += ` (page ${pagination.current_page} of ${pagination.total_pages}, ${pagination.total} total)`;
+  }
+  const truncation = result?._truncation
+    ? ` Omitted ${result._truncation.records_omitted} more records to stay within the size limit; request fewer fields, compact results or a smaller page.`
+    : "";
+  return `${summary}.${truncation}${redaction}`;
+}
+
+function errorResult(result) {
+  // BigCommerce failures carry status, code and title alongside the message
+  const { error, ...details } = result;
+  const hasDetails = Object.values(details).some((value) => value !== undefined);
+  return {
+    content: [
+      {
+        type: "text",
+        text: hasDetails
+          ? `Error: ${error}\n${JSON.stringify(details, null, 2)}`
+          : `Error: ${error}`,
+      },
+    ],
+    isError: true,
+  };
+}
+
+function formatText(result) {
+  if (typeof result === "string") return result;
+  if (typeof result !== "object" || result === null) return String(result);
+  if (Array.isArray(result)) {
+    return `Found ${result.length} items:\n${JSON.stringify(result, null, 2)}`;
+  }
+  if (Array.isArray(result.data)) {
+    return `Found ${result.data.length} items:\n${JSON.stringify(result, null, 2)}`;
+  }
+  return JSON.stringify(result, null, 2);
+}
+
+/**
+ * @param {Object} tool - The tool that produced the result.
+ * @param {*} result - What the tool function returned.
+ * @returns {Object} An MCP CallToolResult.
+ */
+export function formatToolResult(tool, result) {
+  if (result && typeof result === "object" && result.error) {
+    return errorResult(result);
+  }
+
+  const outputSchema = tool.definition?.function?.outputSchema;
+  if (!outputSchema || typeof result !== "object" || result === null) {
+    return { content: [{ type: "text", text: formatText(result) }] };
+  }
+
+  const structuredContent = toStructuredContent(result);
+  const summary = summarizeResult(result);
+  const text = process.env.MCP_RESULT_TEXT === "summary"
+    ? summary
+    : `${summary}\n${JSON.stringify(structuredContent)}`;
+
+  return {
+    content: [{ type: "text", text }],
+    structuredContent,
+  };
+}
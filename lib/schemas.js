@@ -0,0 +1,228 @@
+/**
+ * Output schemas shared by tool definitions. They describe the payload
+ * returned as MCP structuredContent. Record schemas list the commonly used
+ * fields only and allow additional properties, because BigCommerce adds
+ * fields over time and callers may project or redact records.
+ */
+
+const paginationSchema = {
+  type: "object",
+  description: "v3 pagination details of the (last) page fetched.",
+  properties: {
+    total: { type: "integer" },
+    count: { type: "integer" },
+    per_page: { type: "integer" },
+    current_page: { type: "integer" },
+    total_pages: { type: "integer" },
+    links: { type: "object" },
+  },
+};
+
+const collectionSchema = {
+  type: "object",
+  description: "Present when all_pages was used.",
+  properties: {
+    pages_fetched: { type: "integer" },
+    records: { type: "integer" },
+    total_available: { type: "integer" },
+    truncated: { type: "boolean" },
+    truncated_reason: { type: ["string", "null"] },
+    limits: { type: "object" },
+  },
+};
+
+const listMetaSchema = {
+  type: "object",
+  properties: {
+    pagination: paginationSchema,
+    collection: collectionSchema,
+    total: { type: "integer" },
+  },
+};
+
+const redactionSchema = {
+  type: "object",
+  description: "Present when the PII policy redacted fields of this result.",
+  properties: {
+    policy: { type: "string" },
+    fields: { type: "array", items: { type: "string" } },
+  },
+};
+
+const truncationSchema = {
+  type: "object",
+  description: "Present when trailing records were left out to keep the result within the size limit.",
+  properties: {
+    records_returned: { type: "integer" },
+    records_omitted: { type: "integer" },
+    max_chars: { type: "integer" },
+  },
+};
+
+const addressSchema = {
+  type: "object",
+  properties: {
+    first_name: { type: "string" },
+    last_name: { type: "string" },
+    company: { type: "string" },
+    street_1: { type: "string" },
+    street_2: { type: "string" },
+    city: { type: "string" },
+    state: { type: "string" },
+    zip: { type: "string" },
+    country: { type: "string" },
+    country_iso2: { type: "string" },
+    phone: { type: "string" },
+    email: { type: "string" },
+  },
+};
+
+const orderSchema = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    customer_id: { type: "integer" },
+    channel_id: { type: "integer" },
+    date_created: { type: "string" },
+    date_modified: { type: "string" },
+    date_shipped: { type: "string" },
+    status_id: { type: "integer" },
+    status: { type: "string" },
+    subtotal_inc_tax: { type: "string" },
+    total_ex_tax: { type: "string" },
+    total_inc_tax: { type: "string" },
+    items_total: { type: "integer" },
+    items_shipped: { type: "integer" },
+    payment_method: { type: "string" },
+    payment_status: { type: "string" },
+    currency_code: { type: "string" },
+    staff_notes: { type: "string" },
+    customer_message: { type: "string" },
+    billing_address: addressSchema,
+  },
+};
+
+const customerSchema = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    email: { type: "string" },
+    first_name: { type: "string" },
+    last_name: { type: "string" },
+    company: { type: "string" },
+    phone: { type: "string" },
+    customer_group_id: { type: "integer" },
+    date_created: { type: "string" },
+    date_modified: { type: "string" },
+    addresses: { type: "array", items: addressSchema },
+  },
+};
+
+const productSchema = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    name: { type: "string" },
+    sku: { type: "string" },
+    type: { type: "string" },
+    price: { type: "number" },
+    sale_price: { type: "number" },
+    inventory_level: { type: "integer" },
+    inventory_tracking: { type: "string" },
+    is_visible: { type: "boolean" },
+    is_featured: { type: "boolean" },
+    availability: { type: "string" },
+    brand_id: { type: "integer" },
+    categories: { type: "array", items: { type: "integer" } },
+    date_modified: { type: "string" },
+    variants: { type: "array", items: { type: "object" } },
+    images: { type: "array", items: { type: "object" } },
+  },
+};
+
+function listOf(itemSchema, description) {
+  return {
+    type: "object",
+    properties: {
+      data: { type: "array", description, items: itemSchema },
+      meta: listMetaSchema,
+      _redaction: redactionSchema,
+      _truncation: truncationSchema,
+    },
+    required: ["data"],
+  };
+}
+
+export const orderOutputSchema = {
+  ...orderSchema,
+  properties: { ...orderSchema.properties, _redaction: redactionSchema },
+};
+
+export const orderListOutputSchema = listOf(orderSchema, "Orders (v2 Orders API).");
+
+export const customerListOutputSchema = listOf(customerSchema, "Customers (v3 Customers API).");
+
+export const productListOutputSchema = listOf(productSchema, "Products (v3 Catalog API).");
+
+/**
+ * Schema for tools returning a list of records of an order sub-resource.
+ * @param {string} description - What the records are.
+ * @returns {Object}
+ */
+export function recordListOutputSchema(description) {
+  return listOf({ type: "object" }, description);
+}
+
+/**
+ * Schema for tools returning one record whose fields are not described,
+ * such as tools generated from an OpenAPI specification.
+ */
+export const recordOutputSchema = {
+  type: "object",
+  properties: { _redaction: redactionSchema },
+};
+
+/**
+ * Schema for write tools: either the affected record or, for dry runs, the
+ * request that would have been sent.
+ * @param {Object} recordSchema - Schema of the record returned on success.
+ * @returns {Object}
+ */
+export function writeOutputSchema(recordSchema) {
+  return {
+    type: "object",
+    properties: {
+      ...recordSchema.properties,
+      dry_run: { type: "boolean" },
+      request: {
+        type: "object",
+        properties: {
+          store: { type: "string" },
+          method: { type: "string" },
+          url: { type: "string" },
+          body: { type: ["object", "array"] },
+        },
+      },
+    },
+  };
+}
+
+export const storeListOutputSchema = {
+  type: "object",
+  properties: {
+    default_store: { type: "string" },
+    stores: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          alias: { type: "string" },
+          store_hash: { type: "string" },
+          channel_id: { type: "integer" },
+          is_default: { type: "boolean" },
+        },
+      },
+    },
+  },
+  required: ["stores"],
+};
@@ -0,0 +1,131 @@
+import fs from "fs";
+import path from "path";
+
+const FALLBACK_ALIAS = "default";
+
+let registry;
+
+function normalizeStore(alias, config) {
+  const storeHash = config.store_hash ?? config.storeHash;
+  const accessToken = config.access_token_env
+    ? process.env[config.access_token_env]
+    : config.access_token ?? config.accessToken;
+  const channelId = config.channel_id ?? config.channelId;
+
+  if (!storeHash) {
+    throw new Error(`Store "${alias}" is missing store_hash`);
+  }
+  if (!accessToken) {
+    throw new Error(
+      `Store "${alias}" has no access token (set access_token or access_token_env)`
+    );
+  }
+
+  return {
+    alias,
+    storeHash,
+    accessToken,
+    channelId: channelId === undefined ? undefined : Number(channelId),
+  };
+}
+
+function readStoreConfig() {
+  if (process.env.BIGCOMMERCE_STORES_FILE) {
+    const file = path.resolve(process.env.BIGCOMMERCE_STORES_FILE);
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+  if (process.env.BIGCOMMERCE_STORES) {
+    return JSON.parse(process.env.BIGCOMMERCE_STORES);
+  }
+  return null;
+}
+
+/**
+ * Loads the store registry. Stores come from BIGCOMMERCE_STORES_FILE or
+ * BIGCOMMERCE_STORES (JSON mapping alias to store_hash, access_token or
+ * access_token_env, and optional channel_id). Without either, a single
+ * "default" store is built from BIGCOMMERCE_STORE_HASH and BIGCOMMERCE_API_KEY.
+ *
+ * @returns {{stores: Map<string, Object>, defaultAlias: string}}
+ */
+function loadRegistry() {
+  const config = readStoreConfig();
+  const stores = new Map();
+
+  if (config) {
+    for (const [alias, storeConfig] of Object.entries(config)) {
+      stores.set(alias, normalizeStore(alias, storeConfig));
+    }
+  } else if (process.env.BIGCOMMERCE_STORE_HASH) {
+    stores.set(FALLBACK_ALIAS, {
+      alias: FALLBACK_ALIAS,
+      storeHash: process.env.BIGCOMMERCE_STORE_HASH,
+      accessToken: process.env.BIGCOMMERCE_API_KEY,
+      channelId: undefined,
+    });
+  }
+
+  const defaultAlias = process.env.BIGCOMMERCE_DEFAULT_STORE || stores.keys().next().value;
+  if (defaultAlias && !stores.has(defaultAlias)) {
+    throw new Error(`BIGCOMMERCE_DEFAULT_STORE "${defaultAlias}" is not a configured store`);
+  }
+
+  return { stores, defaultAlias };
+}
+
+function getRegistry() {
+  if (!registry) {
+    registry = loadRegistry();
+  }
+  return registry;
+}
+
+/**
+ * Returns the aliases of every configured store.
+ * @returns {string[]}
+ */
+export function getStoreAliases() {
+  return [...getRegistry().stores.keys()];
+}
+
+/**
+ * Resolves a store alias against the allowlist of configured stores.
+ * @param {string} [alias] - Store alias. Defaults to the default store.
+ * @returns {{alias: string, storeHash: string, accessToken: string, channelId?: number}}
+ * @throws {Error} When the alias is not configured.
+ */
+export function resolveStore(alias) {
+  const { stores, defaultAlias } = getRegistry();
+  const key = alias || defaultAlias;
+
+  if (!key) {
+    throw new Error(
+      "No BigCommerce store configured - set BIGCOMMERCE_STORE_HASH or BIGCOMMERCE_STORES"
+    );
+  }
+
+  const store = stores.get(key);
+  if (!store) {
+    throw new Error(
+      `Unknown store "${key}". Configured stores: ${getStoreAliases().join(", ")}`
+    );
+  }
+  return store;
+}
+
+/**
+ * Describes the configured stores without their access tokens.
+ * @returns {{default_store: string, stores: Array<Object>}}
+ */
+export function describeStores() {
+  const { stores, defaultAlias } = getRegistry();
+  return {
+    default_store: defaultAlias,
+    stores: [...stores.values()].map(({ alias, storeHash, channelId }) => ({
+      alias,
+      store_hash: storeHash,
+      channel_id: channelId,
+      is_default: alias === defaultAlias,
+    })),
+  };
+}
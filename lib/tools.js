@@ -1,16 +1,198 @@
-import { toolPaths } from "../tools/paths.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("tools");
+
+const toolsDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "tools");
+
+const TOOL_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+const WATCH_DEBOUNCE_MS = 300;
+
+/**
+ * Whether write tools are enabled. Writes stay disabled unless
+ * MCP_ALLOW_WRITES is explicitly set to "true".
+ * @returns {boolean}
+ */
+export function writesAllowed() {
+  return process.env.MCP_ALLOW_WRITES === "true";
+}
+
+/**
+ * Whether a tool modifies store data. Tools opt in with `access: 'write'`.
+ * @param {Object} tool - A discovered tool.
+ * @returns {boolean}
+ */
+export function isWriteTool(tool) {
+  return tool.access === "write";
+}
+
+function listSetting(name) {
+  return (process.env[name] || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
 
 /**
- * Discovers and loads available tools from the tools directory
- * @returns {Array} Array of tool objects
+ * Directories scanned for tools: tools/ followed by the plugin directories
+ * in MCP_TOOL_DIRS (comma-separated, relative to the working directory).
+ * @returns {string[]} Absolute paths.
+ */
+export function toolDirectories() {
+  return [toolsDir, ...listSetting("MCP_TOOL_DIRS").map((dir) => path.resolve(dir))];
+}
+
+/**
+ * Matches a value against a pattern where "*" stands for any run of
+ * characters and "?" for a single one.
+ * @param {string} value
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function matchesPattern(value, pattern) {
+  const source = pattern
+    .split("")
+    .map((char) => (char === "*" ? ".*" : char === "?" ? "." : char.replace(/[.+^${}()|[\]\\/]/g, "\\$&")))
+    .join("");
+  return new RegExp(`^${source}$`).test(value);
+}
+
+/**
+ * Whether a tool is enabled by MCP_TOOLS_INCLUDE and MCP_TOOLS_EXCLUDE.
+ * Patterns are matched against the tool name and its file path, e.g.
+ * "get_order_*" or "bigcommerce/catalog-brands/*". Exclusion wins.
+ * @param {{name: string, path: string}} tool
+ * @returns {boolean}
+ */
+function isEnabled({ name, path: file }) {
+  const matches = (pattern) => matchesPattern(name, pattern) || matchesPattern(file, pattern);
+  const include = listSetting("MCP_TOOLS_INCLUDE");
+  if (include.length > 0 && !include.some(matches)) return false;
+  return !listSetting("MCP_TOOLS_EXCLUDE").some(matches);
+}
+
+async function findModules(dir, base = dir) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    log.warn("Cannot read tool directory", { directory: dir, error: error.message });
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith(".") || entry.name.startsWith("_") || entry.name === "node_modules") continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await findModules(fullPath, base)));
+    } else if (/\.m?js$/.test(entry.name)) {
+      files.push({ file: fullPath, relativePath: path.relative(base, fullPath).split(path.sep).join("/") });
+    }
+  }
+  return files.sort((a, b) => (a.relativePath < b.relativePath ? -1 : 1));
+}
+
+/**
+ * Checks the shape of an exported apiTool.
+ * @param {*} apiTool
+ * @returns {string[]} Problems found; empty when the tool is usable.
+ */
+export function validateToolDefinition(apiTool) {
+  if (!apiTool || typeof apiTool !== "object") return ["apiTool is not an object"];
+
+  const problems = [];
+  const definition = apiTool.definition?.function;
+  if (typeof apiTool.function !== "function") problems.push("function is not a function");
+  if (apiTool.definition?.type !== "function") problems.push('definition.type is not "function"');
+  if (!definition || typeof definition !== "object") {
+    return [...problems, "definition.function is missing"];
+  }
+  if (typeof definition.name !== "string" || !TOOL_NAME.test(definition.name)) {
+    problems.push("definition.function.name must be 1-64 letters, digits, _ or -");
+  }
+  if (typeof definition.description !== "string" || definition.description.trim() === "") {
+    problems.push("definition.function.description is missing");
+  }
+  if (definition.parameters?.type !== "object") {
+    problems.push('definition.function.parameters must be a JSON Schema of type "object"');
+  }
+  if (definition.outputSchema !== undefined && definition.outputSchema?.type !== "object") {
+    problems.push('definition.function.outputSchema must be a JSON Schema of type "object"');
+  }
+  if (apiTool.access !== undefined && !["read", "write"].includes(apiTool.access)) {
+    problems.push('access must be "read" or "write"');
+  }
+  if (apiTool.category !== undefined && typeof apiTool.category !== "string") {
+    problems.push("category must be a string");
+  }
+  return problems;
+}
+
+/**
+ * Converts a tool into its MCP tools/list entry.
+ * @param {Object} tool - A discovered tool.
+ * @returns {Object}
+ */
+export function toMcpTool(tool) {
+  const { name, description, parameters, outputSchema } = tool.definition.function;
+  return {
+    name,
+    description,
+    inputSchema: parameters,
+    ...(outputSchema ? { outputSchema } : {}),
+    annotations: {
+      readOnlyHint: !isWriteTool(tool),
+    },
+  };
+}
+
+/**
+ * Discovers tools by scanning tools/ and the MCP_TOOL_DIRS plugin
+ * directories for modules exporting `apiTool`. Modules that fail to load
+ * or export an invalid definition are logged and skipped, as are tools
+ * disabled by MCP_TOOLS_INCLUDE / MCP_TOOLS_EXCLUDE.
+ * @returns {Promise<Array>} Tool objects, each with the `path` of its module
+ *   relative to the directory it was found in.
  */
 export async function discoverTools() {
-  const tools = await Promise.all(
-    toolPaths.map(async (file) => {
-      const { apiTool } = await import(`../tools/${file}`);
-      return { ...apiTool, path: file };
-    })
-  );
+  const tools = [];
+  let failures = 0;
+
+  for (const dir of toolDirectories()) {
+    for (const { file, relativePath } of await findModules(dir)) {
+      let apiTool;
+      try {
+        // The modification time in the URL makes reloads pick up edited modules
+        const { mtimeMs } = await fs.promises.stat(file);
+        ({ apiTool } = await import(`${pathToFileURL(file).href}?mtime=${mtimeMs}`));
+      } catch (error) {
+        failures++;
+        log.error("Failed to load tool module", { file, error });
+        continue;
+      }
+      // Helper modules without a tool are fine
+      if (apiTool === undefined) continue;
+
+      const problems = validateToolDefinition(apiTool);
+      if (problems.length > 0) {
+        failures++;
+        log.error("Invalid tool definition", { file, problems });
+        continue;
+      }
+
+      const tool = { ...apiTool, path: relativePath };
+      if (isEnabled({ name: apiTool.definition.function.name, path: relativePath })) {
+        tools.push(tool);
+      }
+    }
+  }
+
+  if (failures > 0) {
+    log.warn("Some tool modules were skipped", { failed: failures, loaded: tools.length });
+  }
 
   // deduplicate tool names
   const nameCounts = {};
@@ -22,9 +204,52 @@ export async function discoverTools() {
     nameCounts[name] = (nameCounts[name] || 0) + 1;
 
     if (nameCounts[name] > 1) {
-      tool.definition.function.name = `${name}_${nameCounts[name]}`;
+      const renamed = `${name}_${nameCounts[name]}`;
+      log.warn("Duplicate tool name renamed", { name, renamed, file: tool.path });
+      // Copy rather than edit the definition, which the cached module shares across reloads
+      tool.definition = { ...tool.definition, function: { ...tool.definition.function, name: renamed } };
     }
 
     return tool;
   });
 }
+
+/**
+ * Watches the tool directories and calls `onChange` once files have
+ * stopped changing for a moment. Directories that cannot be watched are
+ * logged and skipped.
+ * @param {() => void} onChange
+ * @returns {() => void} Stops watching.
+ * @throws {Error} When no directory can be watched, e.g. on Linux before
+ *   Node 20, which lacks recursive fs.watch.
+ */
+export function watchToolDirectories(onChange) {
+  let timer;
+  const watchers = [];
+  const watched = [];
+  for (const dir of toolDirectories()) {
+    try {
+      const watcher = fs.watch(dir, { recursive: true }, (_event, filename) => {
+        if (filename && !/\.m?js$/.test(filename)) return;
+        clearTimeout(timer);
+        timer = setTimeout(onChange, WATCH_DEBOUNCE_MS);
+      });
+      watcher.on("error", (error) => log.error("Tool directory watcher failed", { directory: dir, error }));
+      watchers.push(watcher);
+      watched.push(dir);
+    } catch (error) {
+      log.warn("Cannot watch tool directory", { directory: dir, error: error.message });
+    }
+  }
+  if (watchers.length === 0) {
+    throw new Error(
+      `Cannot watch any tool directory (recursive fs.watch needs Node 20 or later on Linux, running ${process.version})`
+    );
+  }
+  log.info("Watching tool directories", { directories: watched });
+
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach((watcher) => watcher.close());
+  };
+}
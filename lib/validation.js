@@ -0,0 +1,183 @@
+/**
+ * Validates tool arguments against the JSON Schema subset used by tool
+ * definitions: type, enum, minimum/maximum, minItems/maxItems, format,
+ * required, properties, items and additionalProperties.
+ *
+ * Values are coerced where models commonly send the wrong JSON type:
+ * decimal strings for integer/number, "true"/"false" for boolean, and
+ * comma-separated strings for arrays of strings.
+ */
+
+// ISO 8601 date (YYYY-MM-DD) with an optional time, fraction and offset.
+const ISO_DATE_TIME = /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-](\d{2}):?(\d{2}))?)?$/;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+// Plain decimal notation only: Number() would also read "0x10", "1e3" or "0b11"
+const INTEGER_STRING = /^-?\d+$/;
+const NUMBER_STRING = /^-?\d+(\.\d+)?$/;
+
+// Date.parse accepts impossible days such as 2024-02-30, so the parts must
+// survive a round trip through a UTC date
+function isCalendarDate(value) {
+  const match = ISO_DATE.exec(value);
+  if (!match) return false;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(0);
+  date.setUTCFullYear(year, month - 1, day);
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function isDateTime(value) {
+  const match = ISO_DATE_TIME.exec(value);
+  if (!match) return false;
+  const [, date, hours, minutes, seconds, offsetHours, offsetMinutes] = match;
+  const within = (part, max) => part === undefined || Number(part) <= max;
+  return (
+    isCalendarDate(date) &&
+    within(hours, 23) &&
+    within(minutes, 59) &&
+    within(seconds, 59) &&
+    within(offsetHours, 23) &&
+    within(offsetMinutes, 59)
+  );
+}
+
+const formatCheckers = {
+  "date-time": isDateTime,
+  date: isCalendarDate,
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+function coerce(value, type, schema) {
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    if ((type === "integer" && INTEGER_STRING.test(trimmed)) || (type === "number" && NUMBER_STRING.test(trimmed))) {
+      return Number(trimmed);
+    }
+    if (type === "boolean" && (trimmed === "true" || trimmed === "false")) {
+      return trimmed === "true";
+    }
+    if (type === "array" && (!schema.items || schema.items.type === "string")) {
+      return trimmed === "" ? [] : trimmed.split(",").map((item) => item.trim());
+    }
+  }
+  if (type === "string" && typeof value === "number") {
+    return String(value);
+  }
+  return value;
+}
+
+function validateValue(schema, input, path, errors) {
+  let value = input;
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+
+  if (types.length && !types.some((type) => matchesType(value, type))) {
+    for (const type of types) {
+      const coerced = coerce(value, type, schema);
+      if (matchesType(coerced, type)) {
+        value = coerced;
+        break;
+      }
+    }
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(`${path}: expected ${types.join(" or ")}, got ${typeOf(input)}`);
+      return value;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === "string" && schema.format && formatCheckers[schema.format]) {
+    if (!formatCheckers[schema.format](value)) {
+      errors.push(`${path}: must be an ISO 8601 ${schema.format} (e.g. 2024-01-31${schema.format === "date-time" ? " or 2024-01-31T23:59:59Z" : ""})`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must contain at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value = value.map((item, index) => validateValue(schema.items, item, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === "object" && (schema.properties || schema.required)) {
+    value = validateObject(schema, value, path, errors);
+  }
+
+  return value;
+}
+
+function validateObject(schema, input, path, errors) {
+  const properties = schema.properties || {};
+  const result = {};
+  const prefix = path ? `${path}.` : "";
+
+  const missing = new Set();
+  for (const name of schema.required || []) {
+    if (input[name] === undefined || input[name] === null) {
+      errors.push(`${prefix}${name}: is required`);
+      missing.add(name);
+    }
+  }
+
+  for (const [name, value] of Object.entries(input)) {
+    // Already reported as required
+    if (missing.has(name)) continue;
+    const propertySchema = properties[name];
+    if (!propertySchema) {
+      if (schema.additionalProperties === false) {
+        errors.push(`${prefix}${name}: unknown property`);
+      } else {
+        result[name] = value;
+      }
+      continue;
+    }
+    // Explicit nulls for optional arguments mean "not set"
+    if (value === null) continue;
+    result[name] = validateValue(propertySchema, value, `${prefix}${name}`, errors);
+  }
+
+  return result;
+}
+
+/**
+ * Validates and coerces tool arguments.
+ * @param {Object} schema - The tool's `parameters` JSON Schema.
+ * @param {Object} [args] - Arguments received from the client; missing means `{}`.
+ * @returns {{value: Object, errors: string[]}} - Coerced arguments and every violation found.
+ */
+export function validateArguments(schema, args) {
+  const errors = [];
+  if (args !== undefined && typeOf(args) !== "object") {
+    return { value: {}, errors: [`arguments: expected object, got ${typeOf(args)}`] };
+  }
+  const value = validateObject(schema || {}, args || {}, "", errors);
+  return { value, errors };
+}
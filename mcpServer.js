@@ -9,12 +9,30 @@ import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/
 import {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  isInitializeRequest,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import { discoverTools } from "./lib/tools.js";
+import { discoverTools, isWriteTool, toMcpTool, watchToolDirectories, writesAllowed } from "./lib/tools.js";
+import { listResources, listResourceTemplates, readResource } from "./lib/resources.js";
+import { getPrompt, listPrompts } from "./lib/prompts.js";
+import { formatToolResult } from "./lib/results.js";
+import { authenticateRequest, isToolAllowed, scopesForTools } from "./lib/auth.js";
+import { getOAuthConfig, oauthEnabled, protectedResourceMetadata } from "./lib/oauth.js";
+import { getCacheStats } from "./lib/cache.js";
+import { getThrottleStats } from "./lib/client.js";
+import { limitAuthFailures, rateLimitRequest } from "./lib/ratelimit.js";
+import { counter, gauge, histogram, renderMetrics } from "./lib/metrics.js";
+import { configureLogger, createLogger, withRequestContext } from "./lib/logger.js";
+import { runTool } from "./lib/calls.js";
 
 import path from "path";
+import { randomUUID } from "crypto";
 import { fileURLToPath } from "url";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -23,263 +41,299 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.resolve(__dirname, ".env") });
 
 const SERVER_NAME = "bigcommerce-api-mcp";
+const DEFAULT_SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
 
-async function transformTools(tools) {
+// Capabilities advertised by every transport
+const SERVER_CAPABILITIES = {
+  tools: {},
+  resources: {},
+  prompts: {},
+};
+
+const log = createLogger("server");
+
+// Servers of open sessions, told when the tool set changes in watch mode
+const connectedServers = new Set();
+let watchingTools = false;
+
+function serverCapabilities() {
+  return { ...SERVER_CAPABILITIES, tools: watchingTools ? { listChanged: true } : {} };
+}
+
+const toolCalls = counter("mcp_tool_calls_total", "Tool calls received, by tool.");
+const toolErrors = counter(
+  "mcp_tool_errors_total",
+  "Failed tool calls, by tool and type (invalid_arguments, forbidden, tool_error, exception)."
+);
+const toolCallDuration = histogram("mcp_tool_call_duration_seconds", "Tool call latency, by tool.");
+
+function createServer() {
+  const server = new Server(
+    {
+      name: SERVER_NAME,
+      version: "0.1.0",
+    },
+    {
+      capabilities: serverCapabilities(),
+    }
+  );
+  server.onerror = (error) => log.error("MCP server error", { error });
+  return server;
+}
+
+/**
+ * Adds a server to `connectedServers` once its session is established, so
+ * servers of rejected connections are never notified.
+ */
+function trackServer(server) {
+  connectedServers.add(server);
+  server.onclose = () => connectedServers.delete(server);
+}
+
+function sendJsonRpcError(res, status, code, message) {
+  return res.status(status).json({
+    jsonrpc: "2.0",
+    error: {
+      code,
+      message,
+    },
+    id: null,
+  });
+}
+
+async function transformTools(tools, authInfo) {
   return tools
     .map((tool) => {
       const definitionFunction = tool.definition?.function;
       if (!definitionFunction) return;
-      return {
-        name: definitionFunction.name,
-        description: definitionFunction.description,
-        inputSchema: definitionFunction.parameters,
-      };
+      // Write tools are hidden entirely while the server is read-only
+      if (isWriteTool(tool) && !writesAllowed()) return;
+      if (!isToolAllowed(authInfo, tool)) return;
+      return toMcpTool(tool);
     })
     .filter(Boolean);
 }
 
-async function setupServerHandlers(server, tools) {
-  server.setRequestHandler(ListToolsRequestSchema, async () => ({
-    tools: await transformTools(tools),
+/**
+ * Registers the MCP handlers. Tools are read from `toolSet.tools` on every
+ * request, so a reload applies to calls made after it.
+ * @param {Server} server
+ * @param {{tools: Array}} toolSet
+ */
+async function setupServerHandlers(server, toolSet) {
+  // extra.authInfo is set by authenticateRequest on HTTP transports
+  server.setRequestHandler(ListToolsRequestSchema, async (_request, extra) => ({
+    tools: await transformTools(toolSet.tools, extra.authInfo),
   }));
 
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  server.setRequestHandler(ListResourcesRequestSchema, async (_request, extra) => ({
+    resources: listResources(extra.authInfo),
+  }));
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async (_request, extra) => ({
+    resourceTemplates: listResourceTemplates(extra.authInfo),
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) =>
+    withRequestContext(requestFields(extra, { resource: request.params.uri }), () =>
+      readResource(request.params.uri, extra.authInfo)
+    )
+  );
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+    prompts: listPrompts(),
+  }));
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) =>
+    getPrompt(request.params.name, request.params.arguments)
+  );
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
     const toolName = request.params.name;
-    const tool = tools.find((t) => t.definition.function.name === toolName);
+    const tool = toolSet.tools.find((t) => t.definition.function.name === toolName);
     if (!tool) {
       throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${toolName}`);
     }
-    const args = request.params.arguments;
-    const requiredParameters =
-      tool.definition?.function?.parameters?.required || [];
-    for (const requiredParameter of requiredParameters) {
-      if (!(requiredParameter in args)) {
-        throw new McpError(
-          ErrorCode.InvalidParams,
-          `Missing required parameter: ${requiredParameter}`
-        );
-      }
-    }
-    try {
-      const result = await tool.function(args);
-
-      // Format response for better Agno compatibility
-      // Check if result has error property and handle accordingly
-      if (result && typeof result === 'object' && result.error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Error: ${result.error}`,
-            },
-          ],
-          isError: true,
-        };
-      }
 
-      // For successful results, provide both raw data and formatted text
-      // This approach ensures compatibility with different MCP clients
-      let formattedResult;
-      if (typeof result === 'string') {
-        formattedResult = result;
-      } else if (typeof result === 'object' && result !== null) {
-        // For objects, provide a more readable format for Agno
-        if (Array.isArray(result)) {
-          formattedResult = `Found ${result.length} items:\n${JSON.stringify(result, null, 2)}`;
-        } else if (result.data && Array.isArray(result.data)) {
-          formattedResult = `Found ${result.data.length} items:\n${JSON.stringify(result, null, 2)}`;
-        } else {
-          formattedResult = JSON.stringify(result, null, 2);
+    return withRequestContext(requestFields(extra, { tool: toolName }), async () => {
+      toolCalls.inc({ tool: toolName });
+      const started = Date.now();
+      const stopTimer = toolCallDuration.startTimer({ tool: toolName });
+      let outcome = "success";
+      try {
+        const result = await callTool(tool, request.params.arguments, extra.authInfo);
+        if (result.isError) {
+          outcome = "tool_error";
+          toolErrors.inc({ tool: toolName, type: outcome });
         }
-      } else {
-        formattedResult = String(result);
+        return result;
+      } catch (error) {
+        outcome = toolErrorType(error);
+        toolErrors.inc({ tool: toolName, type: outcome });
+        throw error;
+      } finally {
+        stopTimer();
+        log.info("Tool call finished", { outcome, duration_ms: Date.now() - started });
       }
-
-      return {
-        content: [
-          {
-            type: "text",
-            text: formattedResult,
-          },
-        ],
-        // Include metadata for advanced clients
-        _meta: {
-          toolName,
-          resultType: typeof result,
-          hasData: result && typeof result === 'object' && (result.data || Array.isArray(result)),
-          timestamp: new Date().toISOString(),
-        },
-      };
-    } catch (error) {
-      console.error("[Error] Failed to fetch data:", error);
-      throw new McpError(
-        ErrorCode.InternalError,
-        `API error: ${error.message}`
-      );
-    }
+    });
   });
 }
 
-// Authentication middleware
-function authenticateRequest(req, res, next) {
-  const authHeader = req.headers.authorization;
-  const expectedToken = process.env.MCP_AUTH_TOKEN;
-
-  // Skip auth if no token is configured
-  if (!expectedToken) {
-    return next();
-  }
-
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({
-      jsonrpc: "2.0",
-      error: {
-        code: -32001,
-        message: "Unauthorized: Missing or invalid authorization header"
-      },
-      id: null
-    });
-  }
-
-  const token = authHeader.substring(7);
-  if (token !== expectedToken) {
-    return res.status(401).json({
-      jsonrpc: "2.0",
-      error: {
-        code: -32001,
-        message: "Unauthorized: Invalid token"
-      },
-      id: null
-    });
-  }
+/**
+ * Correlation fields for one MCP request; they are attached to every log
+ * entry written while it is handled, including upstream BigCommerce calls.
+ */
+function requestFields(extra, fields) {
+  return {
+    request_id: randomUUID(),
+    session_id: extra.sessionId,
+    client_id: extra.authInfo?.clientId,
+    ...fields,
+  };
+}
 
-  next();
+function toolErrorType(error) {
+  if (error instanceof McpError && error.code === ErrorCode.InvalidParams) return "invalid_arguments";
+  if (error instanceof McpError && error.code === ErrorCode.InvalidRequest) return "forbidden";
+  return "exception";
 }
 
-async function setupStreamableHttp(tools) {
-  const app = express();
-  app.use(express.json());
+/**
+ * Runs a tool and converts its result into an MCP CallToolResult.
+ * @throws {McpError} See runTool.
+ */
+async function callTool(tool, rawArgs, authInfo) {
+  return formatToolResult(tool, await runTool(tool, rawArgs, authInfo));
+}
 
-  // Add CORS middleware for better compatibility with web clients
-  app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Mcp-Session-Id');
+/**
+ * Creates a streamable HTTP session: one Server per MCP session, registered
+ * in `sessions` once the transport has issued its Mcp-Session-Id.
+ */
+async function createStreamableSession(toolSet, sessions) {
+  const server = createServer();
+  await setupServerHandlers(server, toolSet);
+
+  const session = {
+    server,
+    transport: null,
+    lastActivity: Date.now(),
+    openStreams: 0,
+  };
+
+  session.transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => randomUUID(),
+    onsessioninitialized: (sessionId) => {
+      sessions[sessionId] = session;
+      trackServer(server);
+    },
+  });
 
-    if (req.method === 'OPTIONS') {
-      res.sendStatus(200);
-    } else {
-      next();
+  session.transport.onclose = () => {
+    const { sessionId } = session.transport;
+    if (sessionId && sessions[sessionId]) {
+      delete sessions[sessionId];
+      server.close().catch((error) => log.error("Failed to close session server", { error }));
     }
-  });
+  };
 
-  app.get('/health', (req, res) => {
-    res.status(200).json({
-      status: 'healthy',
-      server: SERVER_NAME,
-      version: '0.1.0',
-      capabilities: ['tools'],
-      timestamp: new Date().toISOString(),
-    });
-  });
+  await server.connect(session.transport);
+  return session;
+}
 
-  // Add info endpoint for better discoverability
-  app.get('/info', (req, res) => {
-    res.status(200).json({
-      name: SERVER_NAME,
-      version: '0.1.0',
-      description: 'BigCommerce API MCP server with tools for products, customers, and orders',
-      capabilities: {
-        tools: {},
-      },
-      supportedTransports: ['stdio', 'sse', 'streamable-http'],
-    });
-  });
+/**
+ * Mounts the streamable HTTP transport (POST/GET/DELETE /mcp) on `app`.
+ * @returns {{activeSessions: () => number}}
+ */
+function mountStreamableHttp(app, toolSet) {
+  const sessions = {};
 
-  app.post("/mcp", authenticateRequest, async (req, res) => {
+  app.post("/mcp", limitAuthFailures, authenticateRequest, rateLimitRequest, async (req, res) => {
     try {
-      const server = new Server(
-        {
-          name: SERVER_NAME,
-          version: "0.1.0",
-        },
-        {
-          capabilities: {
-            tools: {},
-          },
-        }
-      );
-      server.onerror = (error) => console.error("[Error]", error);
-      await setupServerHandlers(server, tools);
+      const sessionId = req.headers["mcp-session-id"];
+      let session = sessionId ? sessions[sessionId] : undefined;
 
-      const transport = new StreamableHTTPServerTransport({
-        sessionIdGenerator: undefined,
-      });
-
-      res.on("close", async () => {
-        await transport.close();
-        await server.close();
-      });
+      if (!session) {
+        if (sessionId) {
+          return sendJsonRpcError(res, 404, -32001, "Session not found");
+        }
+        if (!isInitializeRequest(req.body)) {
+          return sendJsonRpcError(
+            res,
+            400,
+            -32000,
+            "Bad Request: No valid session ID provided"
+          );
+        }
+        session = await createStreamableSession(toolSet, sessions);
+      }
 
-      await server.connect(transport);
-      await transport.handleRequest(req, res, req.body);
+      session.lastActivity = Date.now();
+      await session.transport.handleRequest(req, res, req.body);
+      // The transport rejected the initialize request (e.g. 406): no session to keep
+      if (!session.transport.sessionId) {
+        await session.server.close();
+      }
     } catch (error) {
-      console.error("Error handling MCP request:", error);
+      log.error("Error handling MCP request", { error });
       if (!res.headersSent) {
-        res.status(500).json({
-          jsonrpc: "2.0",
-          error: {
-            code: -32603,
-            message: "Internal server error",
-          },
-          id: null,
-        });
+        sendJsonRpcError(res, 500, -32603, "Internal server error");
       }
     }
   });
 
-  const port = process.env.PORT || 3000;
-  app.listen(port, () => {
-    console.log(
-      `[Streamable HTTP Server] running at http://127.0.0.1:${port}/mcp`
-    );
-    console.log(`[Health Check] available at http://127.0.0.1:${port}/health`);
-    console.log(`[Server Info] available at http://127.0.0.1:${port}/info`);
-  });
+  // GET opens the server-to-client stream, DELETE terminates the session
+  const handleSessionRequest = async (req, res) => {
+    const sessionId = req.headers["mcp-session-id"];
+    if (!sessionId) {
+      return sendJsonRpcError(res, 400, -32000, "Bad Request: No valid session ID provided");
+    }
+    // 404 tells the client to start a new session
+    const session = sessions[sessionId];
+    if (!session) {
+      return sendJsonRpcError(res, 404, -32001, "Session not found");
+    }
+
+    session.lastActivity = Date.now();
+    if (req.method === "GET") {
+      session.openStreams++;
+      res.on("close", () => {
+        session.openStreams--;
+        session.lastActivity = Date.now();
+      });
+    }
+    await session.transport.handleRequest(req, res);
+  };
+
+  app.get("/mcp", limitAuthFailures, authenticateRequest, rateLimitRequest, handleSessionRequest);
+  app.delete("/mcp", limitAuthFailures, authenticateRequest, rateLimitRequest, handleSessionRequest);
+
+  const idleTimeoutMs = Number(process.env.MCP_SESSION_IDLE_TIMEOUT_MS) || DEFAULT_SESSION_IDLE_TIMEOUT_MS;
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const session of Object.values(sessions)) {
+      if (session.openStreams === 0 && now - session.lastActivity > idleTimeoutMs) {
+        log.info("Expiring idle session", { session_id: session.transport.sessionId });
+        session.transport.close().catch((error) => log.error("Failed to close idle session", { error }));
+      }
+    }
+  }, Math.min(idleTimeoutMs, 60000));
+  sweepTimer.unref();
+
+  return { activeSessions: () => Object.keys(sessions).length };
 }
 
-async function setupSSE(tools) {
-  const app = express();
+/**
+ * Mounts the legacy SSE transport (GET /sse, POST /messages) on `app`.
+ * @returns {{activeSessions: () => number}}
+ */
+function mountSSE(app, toolSet) {
   const transports = {};
   const servers = {};
 
-  // Add CORS middleware for better compatibility with web clients
-  app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Cache-Control');
-
-    if (req.method === 'OPTIONS') {
-      res.sendStatus(200);
-    } else {
-      next();
-    }
-  });
-
-  app.get("/sse", async (_req, res) => {
-    const server = new Server(
-      {
-        name: SERVER_NAME,
-        version: "0.1.0",
-      },
-      {
-        capabilities: {
-          tools: {},
-        },
-      }
-    );
-    server.onerror = (error) => console.error("[Error]", error);
-    await setupServerHandlers(server, tools);
+  app.get("/sse", limitAuthFailures, authenticateRequest, rateLimitRequest, async (_req, res) => {
+    const server = createServer();
+    await setupServerHandlers(server, toolSet);
 
     const transport = new SSEServerTransport("/messages", res);
     transports[transport.sessionId] = transport;
@@ -292,56 +346,141 @@ async function setupSSE(tools) {
     });
 
     await server.connect(transport);
+    trackServer(server);
   });
 
-  app.post("/messages", async (req, res) => {
+  app.post("/messages", limitAuthFailures, authenticateRequest, rateLimitRequest, async (req, res) => {
     const sessionId = req.query.sessionId;
     const transport = transports[sessionId];
     const server = servers[sessionId];
 
     if (transport && server) {
-      await transport.handlePostMessage(req, res);
+      // express.json() has already consumed the body stream
+      await transport.handlePostMessage(req, res, req.body);
     } else {
       res.status(400).send("No transport/server found for sessionId");
     }
   });
 
-  // Add health check endpoint
+  return { activeSessions: () => Object.keys(transports).length };
+}
+
+/**
+ * Starts one HTTP server hosting the requested transports with shared CORS,
+ * authentication, health and info endpoints.
+ *
+ * @param {{tools: Array}} toolSet - Discovered tools; replaced on reload.
+ * @param {Object} options
+ * @param {boolean} options.streamable - Mount streamable HTTP at /mcp.
+ * @param {boolean} options.sse - Mount legacy SSE at /sse and /messages.
+ */
+async function setupHttp(toolSet, { streamable, sse }) {
+  const app = express();
+  app.use(express.json());
+
+  // Behind a load balancer, per-IP rate limits need the forwarded client address
+  if (process.env.MCP_TRUST_PROXY) {
+    const trustProxy = process.env.MCP_TRUST_PROXY;
+    app.set("trust proxy", trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+  }
+
+  // Add CORS middleware for better compatibility with web clients
+  app.use((req, res, next) => {
+    res.header('Access-Control-Allow-Origin', '*');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Cache-Control, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID');
+    res.header('Access-Control-Expose-Headers', 'Mcp-Session-Id, WWW-Authenticate, Retry-After');
+
+    if (req.method === 'OPTIONS') {
+      res.sendStatus(200);
+    } else {
+      next();
+    }
+  });
+
+  const transports = {};
+  if (streamable) {
+    transports["streamable-http"] = mountStreamableHttp(app, toolSet);
+  }
+  if (sse) {
+    transports.sse = mountSSE(app, toolSet);
+  }
+
   app.get('/health', (req, res) => {
+    const sessions = Object.fromEntries(
+      Object.entries(transports).map(([name, transport]) => [name, transport.activeSessions()])
+    );
     res.status(200).json({
       status: 'healthy',
       server: SERVER_NAME,
       version: '0.1.0',
-      transport: 'sse',
-      activeSessions: Object.keys(transports).length,
+      capabilities: Object.keys(SERVER_CAPABILITIES),
+      transports: Object.keys(transports),
+      activeSessions: Object.values(sessions).reduce((sum, count) => sum + count, 0),
+      sessions,
+      cache: getCacheStats(),
+      upstream: getThrottleStats(),
       timestamp: new Date().toISOString(),
     });
   });
 
+  // OAuth protected resource metadata (RFC 9728), also at the path-suffixed location
+  if (oauthEnabled()) {
+    app.get(
+      ["/.well-known/oauth-protected-resource", "/.well-known/oauth-protected-resource/mcp"],
+      (req, res) => {
+        const availableTools = toolSet.tools.filter((tool) => !isWriteTool(tool) || writesAllowed());
+        res.status(200).json(protectedResourceMetadata(scopesForTools(availableTools)));
+      }
+    );
+  }
+
+  gauge("mcp_active_sessions", "Open MCP sessions, by transport.", () =>
+    Object.entries(transports).map(([transport, mounted]) => ({
+      labels: { transport },
+      value: mounted.activeSessions(),
+    }))
+  );
+  gauge("mcp_tools_loaded", "Tools loaded by discoverTools.", () => toolSet.tools.length);
+
+  // Prometheus text exposition format
+  app.get('/metrics', (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.status(200).send(renderMetrics());
+  });
+
+  // Add info endpoint for better discoverability
+  app.get('/info', (req, res) => {
+    res.status(200).json({
+      name: SERVER_NAME,
+      version: '0.1.0',
+      description: 'BigCommerce API MCP server with tools for products, customers, and orders',
+      capabilities: serverCapabilities(),
+      supportedTransports: ['stdio', 'sse', 'streamable-http'],
+      enabledTransports: Object.keys(transports),
+    });
+  });
+
   const port = process.env.PORT || 3000;
   app.listen(port, () => {
-    console.log(`[SSE Server] is running:`);
-    console.log(`  SSE stream:    http://127.0.0.1:${port}/sse`);
-    console.log(`  Message input: http://127.0.0.1:${port}/messages`);
-    console.log(`  Health Check:  http://127.0.0.1:${port}/health`);
+    const baseUrl = `http://127.0.0.1:${port}`;
+    log.info("HTTP server listening", {
+      port: Number(port),
+      endpoints: {
+        ...(streamable ? { streamable_http: `${baseUrl}/mcp` } : {}),
+        ...(sse ? { sse: `${baseUrl}/sse`, messages: `${baseUrl}/messages` } : {}),
+        health: `${baseUrl}/health`,
+        info: `${baseUrl}/info`,
+        metrics: `${baseUrl}/metrics`,
+      },
+    });
   });
 }
 
-async function setupStdio(tools) {
+async function setupStdio(toolSet) {
   // stdio mode: single server instance
-  const server = new Server(
-    {
-      name: SERVER_NAME,
-      version: "0.1.0",
-    },
-    {
-      capabilities: {
-        tools: {},
-      },
-    }
-  );
-  server.onerror = (error) => console.error("[Error]", error);
-  await setupServerHandlers(server, tools);
+  const server = createServer();
+  await setupServerHandlers(server, toolSet);
 
   process.on("SIGINT", async () => {
     await server.close();
@@ -350,46 +489,93 @@ async function setupStdio(tools) {
 
   const transport = new StdioServerTransport();
   await server.connect(transport);
+  trackServer(server);
 }
 
-async function run() {
-  const args = process.argv.slice(2);
-  const isStreamableHttp = args.includes("--streamable-http");
-  const isSSE = args.includes("--sse");
+// Tool definitions as clients see them; functions are left out by JSON.stringify
+function definitionsOf(tools) {
+  return JSON.stringify(tools.map((tool) => [tool.definition, tool.category, tool.access]));
+}
 
+/**
+ * Re-runs discovery and swaps in the new tool set. Calls already running
+ * finish with the tool they started with. Sessions are notified when a
+ * definition changed; a failed reload keeps the previous tools.
+ * @param {{tools: Array}} toolSet
+ */
+async function reloadTools(toolSet) {
+  let tools;
   try {
-    const tools = await discoverTools();
-    console.log(`[Server] Loaded ${tools.length} tools successfully`);
+    tools = await discoverTools();
+  } catch (error) {
+    log.error("Tool reload failed, keeping the previous tools", { error });
+    return;
+  }
+
+  const changed = definitionsOf(tools) !== definitionsOf(toolSet.tools);
+  toolSet.tools = tools;
+  log.info("Reloaded tools", { count: tools.length, changed });
+  if (!changed) return;
+
+  for (const server of connectedServers) {
+    server.sendToolListChanged().catch((error) => log.warn("Failed to send tools/list_changed", { error }));
+  }
+}
 
-    if (isStreamableHttp && isSSE) {
-      console.error("Error: Cannot specify both --streamable-http and --sse");
+async function run() {
+  const args = process.argv.slice(2);
+  // --http serves both transports; the older flags select one each
+  const isHttp = args.includes("--http");
+  const httpOptions = {
+    streamable: isHttp || args.includes("--streamable-http"),
+    sse: isHttp || args.includes("--sse"),
+  };
+  const isHttpMode = httpOptions.streamable || httpOptions.sse;
+  // stdout is the JSON-RPC channel in stdio mode
+  configureLogger({ stdio: !isHttpMode });
+
+  // Refuse to serve HTTP with a half-configured OAuth setup
+  if (isHttpMode && oauthEnabled()) {
+    try {
+      getOAuthConfig();
+    } catch (error) {
+      log.error("Invalid OAuth configuration", { error: error.message });
       process.exit(1);
     }
+  }
 
-    if (isStreamableHttp) {
-      await setupStreamableHttp(tools);
-    } else if (isSSE) {
-      await setupSSE(tools);
+  // Opt-in: re-discover tools when files under the tool directories change
+  watchingTools = args.includes("--watch") || process.env.MCP_WATCH_TOOLS === "true";
+
+  try {
+    const toolSet = { tools: await discoverTools() };
+    log.info("Loaded tools", { count: toolSet.tools.length });
+
+    if (isHttpMode) {
+      await setupHttp(toolSet, httpOptions);
     } else {
-      await setupStdio(tools);
+      await setupStdio(toolSet);
+    }
+    if (watchingTools) {
+      try {
+        watchToolDirectories(() => reloadTools(toolSet));
+      } catch (error) {
+        // --watch was asked for; running without it would go unnoticed
+        log.error("Cannot watch tools", { error: error.message });
+        process.exit(1);
+      }
     }
   } catch (error) {
-    console.error("[Error] Failed to start server:", error.message);
+    log.error("Failed to start server", { error });
 
     // If in HTTP mode, still start the server with an empty tools array for health checks
-    if (isStreamableHttp || isSSE) {
-      console.log("[Server] Starting with limited functionality due to initialization error");
-      const tools = [];
-
-      if (isStreamableHttp) {
-        await setupStreamableHttp(tools);
-      } else if (isSSE) {
-        await setupSSE(tools);
-      }
+    if (isHttpMode) {
+      log.warn("Starting with limited functionality due to initialization error");
+      await setupHttp({ tools: [] }, httpOptions);
     } else {
       process.exit(1);
     }
   }
 }
 
-run().catch(console.error);
+run().catch((error) => log.error("Fatal error", { error }));
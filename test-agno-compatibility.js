@@ -22,6 +22,16 @@ class MockMCPTools {
     constructor(serverUrl) {
         this.serverUrl = serverUrl;
         this.isConnected = false;
+        this.sessionId = null;
+    }
+
+    requestHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json, text/event-stream',
+            'Authorization': `Bearer ${process.env.MCP_AUTH_TOKEN}`,
+            ...(this.sessionId ? { 'Mcp-Session-Id': this.sessionId } : {})
+        };
     }
 
     async connect() {
@@ -46,6 +56,35 @@ class MockMCPTools {
                 console.log(`⚠️  Server info endpoint not available`);
             }
 
+            // Initialize a session; the server issues an Mcp-Session-Id header
+            const initResponse = await fetch(this.serverUrl, {
+                method: 'POST',
+                headers: this.requestHeaders(),
+                body: JSON.stringify({
+                    jsonrpc: "2.0",
+                    id: "test-init",
+                    method: "initialize",
+                    params: {
+                        protocolVersion: "2025-06-18",
+                        capabilities: {},
+                        clientInfo: { name: "agno-compatibility-test", version: "1.0.0" }
+                    }
+                })
+            });
+
+            if (!initResponse.ok) {
+                throw new Error(`Initialize request failed: ${initResponse.status}`);
+            }
+            this.sessionId = initResponse.headers.get('mcp-session-id');
+            await initResponse.text();
+
+            await fetch(this.serverUrl, {
+                method: 'POST',
+                headers: this.requestHeaders(),
+                body: JSON.stringify({ jsonrpc: "2.0", method: "notifications/initialized" })
+            });
+            console.log(`🪪 Session established: ${this.sessionId}`);
+
             // Test tools listing
             const toolsRequest = {
                 jsonrpc: "2.0",
@@ -56,11 +95,7 @@ class MockMCPTools {
 
             const toolsResponse = await fetch(this.serverUrl, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json, text/event-stream',
-                    'Authorization': `Bearer ${process.env.MCP_AUTH_TOKEN}`
-                },
+                headers: this.requestHeaders(),
                 body: JSON.stringify(toolsRequest)
             });
 
@@ -103,11 +138,7 @@ class MockMCPTools {
         try {
             const response = await fetch(this.serverUrl, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json, text/event-stream',
-                    'Authorization': `Bearer ${process.env.MCP_AUTH_TOKEN}`
-                },
+                headers: this.requestHeaders(),
                 body: JSON.stringify(request)
             });
 
@@ -128,7 +159,7 @@ class MockMCPTools {
                 toolName,
                 hasContent: !!data.result?.content,
                 contentType: data.result?.content?.[0]?.type,
-                hasMeta: !!data.result?._meta,
+                hasStructuredContent: !!data.result?.structuredContent,
                 resultKeys: Object.keys(data.result || {})
             });
 
@@ -175,6 +206,10 @@ class MockMCPTools {
     }
 
     async close() {
+        if (this.sessionId) {
+            await fetch(this.serverUrl, { method: 'DELETE', headers: this.requestHeaders() }).catch(() => {});
+            this.sessionId = null;
+        }
         this.isConnected = false;
         console.log(`🔌 Disconnected from MCP server`);
     }
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.MCP_OAUTH_ISSUER = "https://sso.example.com";
+process.env.MCP_OAUTH_JWKS_FILE = new URL("./fixtures/jwks.json", import.meta.url).pathname;
+process.env.MCP_OAUTH_RESOURCE = "https://mcp.example.com/mcp";
+
+const { InvalidTokenError, verifyAccessToken } = await import("../lib/oauth.js");
+const { authenticateRequest } = await import("../lib/auth.js");
+
+const segment = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+const signature = Buffer.from("signature").toString("base64url");
+
+function mockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+test("rejects a token whose header is null", async () => {
+  const token = `${segment(null)}.${segment({ sub: "user" })}.${signature}`;
+  await assert.rejects(verifyAccessToken(token), (error) => {
+    assert.ok(error instanceof InvalidTokenError);
+    assert.equal(error.message, "Malformed token header");
+    return true;
+  });
+});
+
+test("rejects a token whose payload is null", async () => {
+  const token = `${segment({ alg: "RS256", kid: "r1" })}.${segment(null)}.${signature}`;
+  await assert.rejects(verifyAccessToken(token), (error) => {
+    assert.ok(error instanceof InvalidTokenError);
+    assert.equal(error.message, "Malformed token payload");
+    return true;
+  });
+});
+
+test("answers a malformed token with a 401 invalid_token challenge", async () => {
+  const token = `${segment(null)}.${segment(null)}.${signature}`;
+  const req = {
+    headers: { authorization: `Bearer ${token}` },
+    protocol: "https",
+    get: () => "mcp.example.com",
+  };
+  const res = mockResponse();
+  let nextCalled = false;
+  await authenticateRequest(req, res, () => {
+    nextCalled = true;
+  });
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+  assert.match(res.headers["WWW-Authenticate"], /error="invalid_token"/);
+});
@@ -0,0 +1,89 @@
+/**
+ * Function to add staff notes to an order in the BigCommerce API.
+ *
+ * @param {Object} args - Arguments for the request.
+ * @param {string} [args.store] - Optional store alias. If not provided, uses the default store.
+ * @param {number} args.order_id - The ID of the order.
+ * @param {string} args.note - The note to add.
+ * @param {boolean} [args.replace] - Replace the existing staff notes instead of appending.
+ * @param {boolean} [args.dry_run] - Return the request that would be sent without sending it.
+ * @returns {Promise<Object>} - The updated order, or the planned request when dry_run is set.
+ */
+import { bigcommerceRequest, describeRequest, toolError } from '../../../lib/client.js';
+import { orderOutputSchema, writeOutputSchema } from '../../../lib/schemas.js';
+import { logger } from '../../../lib/logger.js';
+
+const executeFunction = async ({ store, order_id, note, replace = false, dry_run = false } = {}) => {
+  const path = `/v2/orders/${encodeURIComponent(order_id)}`;
+
+  try {
+    // staff_notes is a single field, so appending requires the current value
+    let staffNotes = note;
+    if (!replace) {
+      const { data: order } = await bigcommerceRequest(path, { store, bypassCache: true });
+      if (order?.staff_notes) {
+        staffNotes = `${order.staff_notes}\n${note}`;
+      }
+    }
+
+    const options = { store, method: 'PUT', body: { staff_notes: staffNotes } };
+
+    if (dry_run) {
+      return { dry_run: true, request: describeRequest(path, options) };
+    }
+
+    const { data } = await bigcommerceRequest(path, options);
+    return data;
+  } catch (error) {
+    logger.error('Error adding order staff notes', { error });
+    return toolError(`adding staff notes to order ${order_id}`, error);
+  }
+};
+
+/**
+ * Tool configuration for adding staff notes to an order in the BigCommerce API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  category: 'orders',
+  access: 'write',
+  definition: {
+    type: 'function',
+    function: {
+      name: 'add_order_staff_notes',
+      description: 'Add an internal staff note to an order in BigCommerce. Notes are appended to existing staff notes unless replace is true, and are never shown to the customer. Use dry_run to preview the request first. Only available when the server allows writes.',
+      parameters: {
+        type: 'object',
+        properties: {
+          store: {
+            type: 'string',
+            description: 'Optional store alias (see list_stores). If not provided, uses the default store.'
+          },
+          order_id: {
+            type: 'integer',
+            minimum: 1,
+            description: 'The ID of the order.'
+          },
+          note: {
+            type: 'string',
+            description: 'The staff note to add.'
+          },
+          replace: {
+            type: 'boolean',
+            description: 'When true, replace the existing staff notes instead of appending (default false).'
+          },
+          dry_run: {
+            type: 'boolean',
+            description: 'When true, return the exact request that would be sent without changing the order.'
+          }
+        },
+        required: ['order_id', 'note'],
+        additionalProperties: false
+      },
+      outputSchema: writeOutputSchema(orderOutputSchema)
+    }
+  }
+};
+
+export { apiTool };
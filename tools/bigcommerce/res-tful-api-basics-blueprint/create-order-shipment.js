@@ -0,0 +1,159 @@
+/**
+ * Function to create a shipment for an order in the BigCommerce API.
+ *
+ * @param {Object} args - Arguments for the request.
+ * @param {string} [args.store] - Optional store alias. If not provided, uses the default store.
+ * @param {number} args.order_id - The ID of the order being shipped.
+ * @param {number} args.order_address_id - The shipping address ID the items ship to.
+ * @param {Array<{order_product_id: number, quantity: number}>} args.items - The line items and quantities in the shipment.
+ * @param {string} [args.tracking_number] - Carrier tracking number.
+ * @param {string} [args.tracking_carrier] - Carrier code (e.g., ups, fedex, usps).
+ * @param {string} [args.shipping_provider] - Shipping provider used to create tracking links.
+ * @param {string} [args.shipping_method] - Name of the shipping method.
+ * @param {string} [args.comments] - Comments about the shipment.
+ * @param {boolean} [args.dry_run] - Return the request that would be sent without sending it.
+ * @returns {Promise<Object>} - The created shipment, or the planned request when dry_run is set.
+ */
+import { bigcommerceRequest, describeRequest, toolError } from '../../../lib/client.js';
+import { writeOutputSchema } from '../../../lib/schemas.js';
+import { logger } from '../../../lib/logger.js';
+
+const executeFunction = async ({
+  store,
+  order_id,
+  order_address_id,
+  items,
+  tracking_number,
+  tracking_carrier,
+  shipping_provider,
+  shipping_method,
+  comments,
+  dry_run = false
+} = {}) => {
+  const path = `/v2/orders/${encodeURIComponent(order_id)}/shipments`;
+  const options = {
+    store,
+    method: 'POST',
+    body: {
+      order_address_id,
+      items,
+      tracking_number,
+      tracking_carrier,
+      shipping_provider,
+      shipping_method,
+      comments
+    }
+  };
+
+  try {
+    if (dry_run) {
+      return { dry_run: true, request: describeRequest(path, options) };
+    }
+
+    const { data } = await bigcommerceRequest(path, options);
+    return data;
+  } catch (error) {
+    logger.error('Error creating order shipment', { error });
+    return toolError(`creating a shipment for order ${order_id}`, error);
+  }
+};
+
+const shipmentSchema = {
+  properties: {
+    id: { type: 'integer' },
+    order_id: { type: 'integer' },
+    order_address_id: { type: 'integer' },
+    tracking_number: { type: 'string' },
+    tracking_carrier: { type: 'string' },
+    shipping_provider: { type: 'string' },
+    date_created: { type: 'string' },
+    items: { type: 'array', items: { type: 'object' } }
+  }
+};
+
+/**
+ * Tool configuration for creating a shipment for an order in the BigCommerce API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  category: 'orders',
+  access: 'write',
+  definition: {
+    type: 'function',
+    function: {
+      name: 'create_order_shipment',
+      description: 'Create a shipment for an order in BigCommerce with tracking number and carrier. Use get_order_shipping_addresses for order_address_id and get_order_products for order_product_id values. Use dry_run to preview the request first. Only available when the server allows writes.',
+      parameters: {
+        type: 'object',
+        properties: {
+          store: {
+            type: 'string',
+            description: 'Optional store alias (see list_stores). If not provided, uses the default store.'
+          },
+          order_id: {
+            type: 'integer',
+            minimum: 1,
+            description: 'The ID of the order being shipped.'
+          },
+          order_address_id: {
+            type: 'integer',
+            minimum: 1,
+            description: 'The ID of the order shipping address the items ship to.'
+          },
+          items: {
+            type: 'array',
+            minItems: 1,
+            description: 'The order line items and quantities included in this shipment.',
+            items: {
+              type: 'object',
+              properties: {
+                order_product_id: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: 'The ID of the order line item.'
+                },
+                quantity: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: 'Quantity of the line item shipped.'
+                }
+              },
+              required: ['order_product_id', 'quantity'],
+              additionalProperties: false
+            }
+          },
+          tracking_number: {
+            type: 'string',
+            description: 'Tracking number from the carrier.'
+          },
+          tracking_carrier: {
+            type: 'string',
+            description: 'Carrier code (e.g., ups, fedex, usps, auspost, royal-mail, canada-post).'
+          },
+          shipping_provider: {
+            type: 'string',
+            description: 'Shipping provider used to build tracking links (e.g., ups, fedex, usps, custom).'
+          },
+          shipping_method: {
+            type: 'string',
+            description: 'Name of the shipping method (e.g., Ground, Express).'
+          },
+          comments: {
+            type: 'string',
+            description: 'Comments about the shipment.'
+          },
+          dry_run: {
+            type: 'boolean',
+            description: 'When true, return the exact request that would be sent without creating the shipment.'
+          }
+        },
+        required: ['order_id', 'order_address_id', 'items'],
+        additionalProperties: false
+      },
+      outputSchema: writeOutputSchema(shipmentSchema)
+    }
+  }
+};
+
+export { apiTool };
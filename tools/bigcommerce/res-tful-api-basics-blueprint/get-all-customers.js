@@ -2,7 +2,7 @@
  * Function to get all customers from the API with optional filtering.
  *
  * @param {Object} args - Arguments for the request.
- * @param {string} [args.store_Hash] - Optional store hash. If not provided, uses BIGCOMMERCE_STORE_HASH from environment.
+ * @param {string} [args.store] - Optional store alias. If not provided, uses the default store.
  * @param {string} [args.id] - Filter by customer IDs (comma-separated).
  * @param {string} [args.email] - Filter by customer email address.
  * @param {string} [args.name] - Filter by customer name (exact match).
@@ -18,18 +18,24 @@
  * @param {string} [args.date_modified_min] - Filter customers modified after this date.
  * @param {string} [args.date_modified_max] - Filter customers modified before this date.
  * @param {string} [args.sort] - Sort field and direction (e.g., 'date_created:desc').
- * @param {string} [args.include] - Include additional resources (addresses, storecredit, attributes).
+ * @param {string[]} [args.include] - Include additional resources (addresses, storecredit, attributes, formfields).
  * @param {number} [args.limit] - Number of results to return (max 250, default 50).
  * @param {number} [args.page] - Page number for pagination (default 1).
+ * @param {boolean} [args.all_pages] - Fetch every page up to the server's page, record and time caps.
+ * @param {number} [args.max_pages] - Maximum pages to fetch in all_pages mode.
+ * @param {number} [args.max_records] - Maximum records to return in all_pages mode.
+ * @param {boolean} [args.bypass_cache] - Fetch fresh data instead of a cached response.
  * @returns {Promise<Object>} - The result of the API call to get all customers.
  */
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
+import { bigcommerceRequest, toolError } from '../../../lib/client.js';
+import { fetchAllPages, fetchAllParameters } from '../../../lib/pagination.js';
+import { cacheParameters } from '../../../lib/cache.js';
+import { projectionParameters } from '../../../lib/projection.js';
+import { customerListOutputSchema } from '../../../lib/schemas.js';
+import { logger } from '../../../lib/logger.js';
 
 const executeFunction = async ({
-  store_Hash,
+  store,
   id,
   email,
   name,
@@ -46,92 +52,53 @@ const executeFunction = async ({
   date_modified_max,
   sort,
   include,
-  limit = 50,
-  page = 1
+  limit,
+  page = 1,
+  all_pages = false,
+  max_pages,
+  max_records,
+  bypass_cache = false
 } = {}) => {
-  const baseUrl = 'https://api.bigcommerce.com/stores';
-  const token = process.env.BIGCOMMERCE_API_KEY;
-
-  // Use provided store hash or default from environment
-  const storeHash = store_Hash || process.env.BIGCOMMERCE_STORE_HASH;
-
   try {
-    // Build query parameters from filters
-    const queryParams = new URLSearchParams();
-
-    // Add filtering parameters (using BigCommerce v3 Customers API syntax)
-    if (id) queryParams.append('id:in', id);
-    if (email) queryParams.append('email:in', email);
-    if (name) queryParams.append('name:in', name);
-    if (name_like) queryParams.append('name:like', name_like);
-    if (company) queryParams.append('company:in', company);
-    if (phone) queryParams.append('phone:in', phone);
-    if (customer_group_id) queryParams.append('customer_group_id:in', customer_group_id.toString());
-    if (registration_ip_address) queryParams.append('registration_ip_address:in', registration_ip_address);
-    if (date_created) queryParams.append('date_created', date_created);
-    if (date_created_min) queryParams.append('date_created:min', date_created_min);
-    if (date_created_max) queryParams.append('date_created:max', date_created_max);
-    if (date_modified) queryParams.append('date_modified', date_modified);
-    if (date_modified_min) queryParams.append('date_modified:min', date_modified_min);
-    if (date_modified_max) queryParams.append('date_modified:max', date_modified_max);
-    if (sort) queryParams.append('sort', sort);
-    if (include) queryParams.append('include', include);
-    if (limit) queryParams.append('limit', limit.toString());
-    if (page) queryParams.append('page', page.toString());
-
-    // Construct the URL with query parameters
-    const url = `${baseUrl}/${storeHash}/v3/customers${queryParams.toString() ? `?${queryParams.toString()}` : ''}`;
-
-    // Set up headers for the request (matching n8n configuration)
-    const headers = {
-      'X-Auth-Token': token,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
+    // Filtering parameters use BigCommerce v3 Customers API syntax
+    const query = {
+      'id:in': id,
+      'email:in': email,
+      'name:in': name,
+      'name:like': name_like,
+      'company:in': company,
+      'phone:in': phone,
+      'customer_group_id:in': customer_group_id,
+      'registration_ip_address:in': registration_ip_address,
+      date_created,
+      'date_created:min': date_created_min,
+      'date_created:max': date_created_max,
+      date_modified,
+      'date_modified:min': date_modified_min,
+      'date_modified:max': date_modified_max,
+      sort,
+      include,
+      limit: limit ?? (all_pages ? 250 : 50),
+      page
     };
 
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.log('Error response:', errorText.substring(0, 500));
-      throw new Error(`HTTP ${response.status}: ${errorText}`);
+    if (all_pages) {
+      return await fetchAllPages('/v3/customers', {
+        store,
+        query,
+        apiVersion: 'v3',
+        maxPages: max_pages,
+        maxRecords: max_records,
+        bypassCache: bypass_cache
+      });
     }
 
-    // Get response as text first to check for HTML
-    const responseText = await response.text();
+    const { data } = await bigcommerceRequest('/v3/customers', { store, query, bypassCache: bypass_cache });
 
-    // Check if response is HTML (authentication error)
-    if (responseText.trim().startsWith('<')) {
-      // Extract error details from HTML
-      const titleMatch = responseText.match(/<title>(.*?)<\/title>/i);
-      const errorTitle = titleMatch ? titleMatch[1] : 'Unknown error';
-
-      // Look for common error patterns
-      let errorDetails = '';
-      if (responseText.includes('401') || responseText.includes('Unauthorized')) {
-        errorDetails = 'Authentication failed - invalid API token';
-      } else if (responseText.includes('403') || responseText.includes('Forbidden')) {
-        errorDetails = 'Access forbidden - check API token permissions';
-      } else if (responseText.includes('404') || responseText.includes('Not Found')) {
-        errorDetails = 'Store not found - check store hash';
-      }
-
-      throw new Error(`BigCommerce API Error: ${errorTitle}. ${errorDetails}`);
-    }
-
-    // Parse and return the response data
-    const data = JSON.parse(responseText);
-    return data;
+    return data ?? { data: [], meta: { total: 0 } };
   } catch (error) {
-    console.error('Error getting all customers:', error);
-    return {
-      error: `An error occurred while getting all customers: ${error instanceof Error ? error.message : JSON.stringify(error)}`
-    };
+    logger.error('Error getting all customers', { error });
+    return toolError('getting all customers', error);
   }
 };
 
@@ -141,17 +108,18 @@ const executeFunction = async ({
  */
 const apiTool = {
   function: executeFunction,
+  category: 'customers',
   definition: {
     type: 'function',
     function: {
       name: 'get_all_customers',
-      description: 'Get all customers from the BigCommerce API with comprehensive filtering options (email, name, company, phone, customer group, dates, pagination). Store hash is automatically retrieved from environment variables.',
+      description: 'Get all customers from the BigCommerce API with comprehensive filtering options (email, name, company, phone, customer group, dates, pagination). Uses the default store unless a store alias is given.',
       parameters: {
         type: 'object',
         properties: {
-          store_Hash: {
+          store: {
             type: 'string',
-            description: 'Optional store hash. If not provided, uses BIGCOMMERCE_STORE_HASH from environment variables.'
+            description: 'Optional store alias (see list_stores). If not provided, uses the default store.'
           },
           id: {
             type: 'string',
@@ -187,47 +155,63 @@ const apiTool = {
           },
           date_created: {
             type: 'string',
+            format: 'date-time',
             description: 'Filter by exact customer creation date (ISO format: YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS).'
           },
           date_created_min: {
             type: 'string',
+            format: 'date-time',
             description: 'Filter customers created after this date (ISO format: YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS).'
           },
           date_created_max: {
             type: 'string',
+            format: 'date-time',
             description: 'Filter customers created before this date (ISO format: YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS).'
           },
           date_modified: {
             type: 'string',
+            format: 'date-time',
             description: 'Filter by exact customer modification date (ISO format: YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS).'
           },
           date_modified_min: {
             type: 'string',
+            format: 'date-time',
             description: 'Filter customers modified after this date (ISO format: YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS).'
           },
           date_modified_max: {
             type: 'string',
+            format: 'date-time',
             description: 'Filter customers modified before this date (ISO format: YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS).'
           },
           sort: {
             type: 'string',
+            enum: ['date_created:asc', 'date_created:desc', 'last_name:asc', 'last_name:desc', 'date_modified:asc', 'date_modified:desc'],
             description: 'Sort field and direction (e.g., "date_created:desc", "last_name:asc", "date_modified:desc").'
           },
           include: {
-            type: 'string',
-            description: 'Include additional customer sub-resources (comma-separated: addresses, storecredit, attributes, formfields).'
+            type: 'array',
+            items: { type: 'string', enum: ['addresses', 'storecredit', 'attributes', 'formfields', 'shopper_profile_id', 'segment_ids'] },
+            description: 'Include additional customer sub-resources (array or comma-separated string: addresses, storecredit, attributes, formfields, shopper_profile_id, segment_ids).'
           },
           limit: {
             type: 'integer',
+            minimum: 1,
+            maximum: 250,
             description: 'Number of results to return (max 250, default 50).'
           },
           page: {
             type: 'integer',
+            minimum: 1,
             description: 'Page number for pagination (default 1).'
-          }
+          },
+          ...fetchAllParameters,
+          ...cacheParameters,
+          ...projectionParameters
         },
-        required: []
-      }
+        required: [],
+        additionalProperties: false
+      },
+      outputSchema: customerListOutputSchema
     }
   }
 };
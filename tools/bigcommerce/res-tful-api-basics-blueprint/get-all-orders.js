@@ -2,7 +2,7 @@
  * Function to get all orders from the BigCommerce API.
  *
  * @param {Object} args - Arguments for the request.
- * @param {string} [args.store_Hash] - Optional store hash. If not provided, uses BIGCOMMERCE_STORE_HASH from environment.
+ * @param {string} [args.store] - Optional store alias. If not provided, uses the default store.
  * @param {number} [args.customer_id] - Filter orders by specific customer ID.
  * @param {string} [args.email] - Filter orders by customer email.
  * @param {number} [args.status_id] - Filter orders by status ID.
@@ -14,22 +14,29 @@
  * @param {string} [args.max_date_created] - Maximum date created (ISO 8601 format).
  * @param {string} [args.min_date_modified] - Minimum date modified (ISO 8601 format).
  * @param {string} [args.max_date_modified] - Maximum date modified (ISO 8601 format).
- * @param {number} [args.channel_id] - Filter by channel ID.
+ * @param {number} [args.channel_id] - Filter by channel ID. Defaults to the store's default channel, if configured.
  * @param {string} [args.payment_method] - Filter by payment method.
  * @param {string} [args.cart_id] - Filter by cart ID.
  * @param {string} [args.external_order_id] - Filter by external order ID.
  * @param {string} [args.sort] - Sort field and direction (e.g., 'date_created:desc').
  * @param {number} [args.limit] - Number of results to return (default: 50).
  * @param {number} [args.page] - Page to return (default: 1).
+ * @param {boolean} [args.all_pages] - Fetch every page up to the server's page, record and time caps.
+ * @param {number} [args.max_pages] - Maximum pages to fetch in all_pages mode.
+ * @param {number} [args.max_records] - Maximum records to return in all_pages mode.
+ * @param {boolean} [args.bypass_cache] - Fetch fresh data instead of a cached response.
  * @returns {Promise<Object>} - The result of the API call.
  */
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
+import { bigcommerceRequest, toolError } from '../../../lib/client.js';
+import { fetchAllPages, fetchAllParameters } from '../../../lib/pagination.js';
+import { cacheParameters } from '../../../lib/cache.js';
+import { projectionParameters } from '../../../lib/projection.js';
+import { resolveStore } from '../../../lib/stores.js';
+import { orderListOutputSchema } from '../../../lib/schemas.js';
+import { logger } from '../../../lib/logger.js';
 
 const executeFunction = async ({
-  store_Hash,
+  store,
   customer_id,
   email,
   status_id,
@@ -46,87 +53,55 @@ const executeFunction = async ({
   cart_id,
   external_order_id,
   sort,
-  limit = 50,
-  page = 1
+  limit,
+  page = 1,
+  all_pages = false,
+  max_pages,
+  max_records,
+  bypass_cache = false
 } = {}) => {
-  const baseUrl = 'https://api.bigcommerce.com/stores';
-  const apiKey = process.env.BIGCOMMERCE_API_KEY;
-
-  // Use provided store hash or default from environment
-  const storeHash = store_Hash || process.env.BIGCOMMERCE_STORE_HASH;
-
   try {
-    // Build query parameters
-    const queryParams = new URLSearchParams();
-
-    if (customer_id) queryParams.append('customer_id', customer_id.toString());
-    if (email) queryParams.append('email', email);
-    if (status_id) queryParams.append('status_id', status_id.toString());
-    if (min_id) queryParams.append('min_id', min_id.toString());
-    if (max_id) queryParams.append('max_id', max_id.toString());
-    if (min_total) queryParams.append('min_total', min_total.toString());
-    if (max_total) queryParams.append('max_total', max_total.toString());
-    if (min_date_created) queryParams.append('min_date_created', min_date_created);
-    if (max_date_created) queryParams.append('max_date_created', max_date_created);
-    if (min_date_modified) queryParams.append('min_date_modified', min_date_modified);
-    if (max_date_modified) queryParams.append('max_date_modified', max_date_modified);
-    if (channel_id) queryParams.append('channel_id', channel_id.toString());
-    if (payment_method) queryParams.append('payment_method', payment_method);
-    if (cart_id) queryParams.append('cart_id', cart_id);
-    if (external_order_id) queryParams.append('external_order_id', external_order_id);
-    if (sort) queryParams.append('sort', sort);
-    if (limit) queryParams.append('limit', limit.toString());
-    if (page) queryParams.append('page', page.toString());
-
-    // Construct the URL for the request
-    const url = `${baseUrl}/${storeHash}/v2/orders${queryParams.toString() ? '?' + queryParams.toString() : ''}`;
-
-    // Set up headers for the request
-    const headers = {
-      'X-Auth-Token': apiKey,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
+    const query = {
+      customer_id,
+      email,
+      status_id,
+      min_id,
+      max_id,
+      min_total,
+      max_total,
+      min_date_created,
+      max_date_created,
+      min_date_modified,
+      max_date_modified,
+      // Stores configured with a default channel only see that channel's orders
+      channel_id: channel_id ?? resolveStore(store).channelId,
+      payment_method,
+      cart_id,
+      external_order_id,
+      sort,
+      // Larger pages mean fewer round trips when collecting everything
+      limit: limit ?? (all_pages ? 250 : 50),
+      page
     };
 
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      let errorData;
-      try {
-        errorData = await response.json();
-      } catch (e) {
-        // If JSON parsing fails, use the text response
-        const errorText = await response.text();
-        throw new Error(`HTTP ${response.status}: ${errorText || response.statusText}`);
-      }
-      throw new Error(JSON.stringify(errorData));
+    if (all_pages) {
+      return await fetchAllPages('/v2/orders', {
+        store,
+        query,
+        apiVersion: 'v2',
+        maxPages: max_pages,
+        maxRecords: max_records,
+        bypassCache: bypass_cache
+      });
     }
 
-    // Get response text first to handle empty responses
-    const responseText = await response.text();
-
-    // Check if response is empty
-    if (!responseText || responseText.trim() === '') {
-      return { data: [], meta: { total: 0 } };
-    }
+    const { data } = await bigcommerceRequest('/v2/orders', { store, query, bypassCache: bypass_cache });
 
-    // Parse and return the response data
-    try {
-      const data = JSON.parse(responseText);
-      return data;
-    } catch (parseError) {
-      throw new Error(`Invalid JSON response: ${responseText.substring(0, 200)}...`);
-    }
+    // v2 returns 204 No Content when no orders match
+    return data ?? { data: [], meta: { total: 0 } };
   } catch (error) {
-    console.error('Error getting all orders:', error);
-    return {
-      error: `An error occurred while getting all orders: ${error instanceof Error ? error.message : JSON.stringify(error)}`
-    };
+    logger.error('Error getting all orders', { error });
+    return toolError('getting all orders', error);
   }
 };
 
@@ -136,20 +111,22 @@ const executeFunction = async ({
  */
 const apiTool = {
   function: executeFunction,
+  category: 'orders',
   definition: {
     type: 'function',
     function: {
       name: 'get_all_orders',
-      description: 'Get all orders from the BigCommerce API. Can filter by customer_id to get products associated with specific customers through their order history. Store hash is automatically retrieved from environment variables.',
+      description: 'Get all orders from the BigCommerce API. Can filter by customer_id to find the orders of a specific customer; use get_order_products with an order ID to see the products in each order. Uses the default store unless a store alias is given.',
       parameters: {
         type: 'object',
         properties: {
-          store_Hash: {
+          store: {
             type: 'string',
-            description: 'Optional store hash. If not provided, uses BIGCOMMERCE_STORE_HASH from environment variables.'
+            description: 'Optional store alias (see list_stores). If not provided, uses the default store.'
           },
           customer_id: {
             type: 'integer',
+            minimum: 1,
             description: 'Filter orders by specific customer ID to get products associated with that customer.'
           },
           email: {
@@ -158,43 +135,53 @@ const apiTool = {
           },
           status_id: {
             type: 'integer',
+            enum: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14],
             description: 'Filter orders by status ID (e.g., 1=Pending, 7=Awaiting Payment, 11=Awaiting Fulfillment).'
           },
           min_id: {
             type: 'integer',
+            minimum: 1,
             description: 'Minimum order ID for filtering.'
           },
           max_id: {
             type: 'integer',
+            minimum: 1,
             description: 'Maximum order ID for filtering.'
           },
           min_total: {
             type: 'number',
+            minimum: 0,
             description: 'Minimum order total amount for filtering.'
           },
           max_total: {
             type: 'number',
+            minimum: 0,
             description: 'Maximum order total amount for filtering.'
           },
           min_date_created: {
             type: 'string',
+            format: 'date-time',
             description: 'Minimum date created for filtering (ISO 8601 format, e.g., 2023-01-01T00:00:00Z).'
           },
           max_date_created: {
             type: 'string',
+            format: 'date-time',
             description: 'Maximum date created for filtering (ISO 8601 format, e.g., 2023-12-31T23:59:59Z).'
           },
           min_date_modified: {
             type: 'string',
+            format: 'date-time',
             description: 'Minimum date modified for filtering (ISO 8601 format, e.g., 2023-01-01T00:00:00Z).'
           },
           max_date_modified: {
             type: 'string',
+            format: 'date-time',
             description: 'Maximum date modified for filtering (ISO 8601 format, e.g., 2023-12-31T23:59:59Z).'
           },
           channel_id: {
             type: 'integer',
-            description: 'Filter orders by channel ID.'
+            minimum: 1,
+            description: 'Filter orders by channel ID. Defaults to the default channel of the selected store, if one is configured.'
           },
           payment_method: {
             type: 'string',
@@ -210,19 +197,28 @@ const apiTool = {
           },
           sort: {
             type: 'string',
-            description: 'Sort field and direction (e.g., date_created:desc, id:asc, total:desc).'
+            enum: ['id:asc', 'id:desc', 'customer_id:asc', 'customer_id:desc', 'date_created:asc', 'date_created:desc', 'date_modified:asc', 'date_modified:desc', 'status_id:asc', 'status_id:desc', 'channel_id:asc', 'channel_id:desc', 'external_id:asc', 'external_id:desc'],
+            description: 'Sort field and direction (e.g., date_created:desc, id:asc, date_modified:desc).'
           },
           limit: {
             type: 'integer',
+            minimum: 1,
+            maximum: 250,
             description: 'Number of results to return (default: 50, max: 250).'
           },
           page: {
             type: 'integer',
+            minimum: 1,
             description: 'Page number to return (default: 1).'
-          }
+          },
+          ...fetchAllParameters,
+          ...cacheParameters,
+          ...projectionParameters
         },
-        required: []
-      }
+        required: [],
+        additionalProperties: false
+      },
+      outputSchema: orderListOutputSchema
     }
   }
 };
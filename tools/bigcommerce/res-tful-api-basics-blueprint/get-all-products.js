@@ -1,95 +1,296 @@
 /**
- * Function to get all products from the API.
+ * Function to get all products from the API with optional filtering.
  *
  * @param {Object} args - Arguments for the request.
- * @param {string} [args.store_Hash] - Optional store hash. If not provided, uses BIGCOMMERCE_STORE_HASH from environment.
+ * @param {string} [args.store] - Optional store alias. If not provided, uses the default store.
+ * @param {string} [args.id] - Filter by product IDs (comma-separated).
+ * @param {string} [args.keyword] - Search products by keyword.
+ * @param {string} [args.sku] - Filter by SKU (comma-separated for multiple SKUs).
+ * @param {string} [args.name] - Filter by product name (exact match).
+ * @param {string} [args.name_like] - Filter by product name (partial match).
+ * @param {string} [args.categories] - Filter by category IDs (comma-separated, matches any).
+ * @param {number} [args.brand_id] - Filter by brand ID.
+ * @param {number} [args.price] - Filter by exact price.
+ * @param {number} [args.price_min] - Minimum price.
+ * @param {number} [args.price_max] - Maximum price.
+ * @param {number} [args.weight_min] - Minimum weight.
+ * @param {number} [args.weight_max] - Maximum weight.
+ * @param {number} [args.inventory_level] - Filter by exact inventory level.
+ * @param {number} [args.inventory_level_min] - Minimum inventory level.
+ * @param {number} [args.inventory_level_max] - Maximum inventory level.
+ * @param {boolean} [args.out_of_stock] - Only products that are out of stock.
+ * @param {boolean} [args.is_visible] - Filter by storefront visibility.
+ * @param {boolean} [args.is_featured] - Filter by featured flag.
+ * @param {string} [args.availability] - Filter by availability (available, disabled, preorder).
+ * @param {string} [args.type] - Filter by product type (physical, digital).
+ * @param {string} [args.date_modified] - Filter by exact modification date.
+ * @param {string} [args.date_modified_min] - Filter products modified after this date.
+ * @param {string} [args.date_modified_max] - Filter products modified before this date.
+ * @param {string} [args.sort] - Sort field (e.g., 'price', 'name', 'date_modified').
+ * @param {string} [args.direction] - Sort direction (asc or desc).
+ * @param {string[]} [args.include] - Include sub-resources (variants, images, custom_fields, bulk_pricing_rules).
+ * @param {number} [args.limit] - Number of results to return (max 250, default 50).
+ * @param {number} [args.page] - Page number for pagination (default 1).
+ * @param {boolean} [args.all_pages] - Fetch every page up to the server's page, record and time caps.
+ * @param {number} [args.max_pages] - Maximum pages to fetch in all_pages mode.
+ * @param {number} [args.max_records] - Maximum records to return in all_pages mode.
+ * @param {boolean} [args.bypass_cache] - Fetch fresh data instead of a cached response.
  * @returns {Promise<Object>} - The result of the API request.
  */
-import dotenv from 'dotenv';
+import { bigcommerceRequest, toolError } from '../../../lib/client.js';
+import { fetchAllPages, fetchAllParameters } from '../../../lib/pagination.js';
+import { cacheParameters } from '../../../lib/cache.js';
+import { projectionParameters } from '../../../lib/projection.js';
+import { productListOutputSchema } from '../../../lib/schemas.js';
+import { logger } from '../../../lib/logger.js';
 
-// Load environment variables
-dotenv.config();
-
-const executeFunction = async ({ store_Hash } = {}) => {
-  const baseUrl = 'https://api.bigcommerce.com/stores';
-  const apiKey = process.env.BIGCOMMERCE_API_KEY;
-
-  // Use provided store hash or default from environment
-  const storeHash = store_Hash || process.env.BIGCOMMERCE_STORE_HASH;
+const executeFunction = async ({
+  store,
+  id,
+  keyword,
+  sku,
+  name,
+  name_like,
+  categories,
+  brand_id,
+  price,
+  price_min,
+  price_max,
+  weight_min,
+  weight_max,
+  inventory_level,
+  inventory_level_min,
+  inventory_level_max,
+  out_of_stock,
+  is_visible,
+  is_featured,
+  availability,
+  type,
+  date_modified,
+  date_modified_min,
+  date_modified_max,
+  sort,
+  direction,
+  include,
+  limit,
+  page = 1,
+  all_pages = false,
+  max_pages,
+  max_records,
+  bypass_cache = false
+} = {}) => {
   try {
-    // Construct the URL for the request
-    const url = `${baseUrl}/${storeHash}/v3/catalog/products`;
-
-    // Set up headers for the request (matching n8n configuration)
-    const headers = {
-      'X-Auth-Token': apiKey,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
+    // Filtering parameters use BigCommerce v3 Catalog API syntax
+    const query = {
+      'id:in': id,
+      keyword,
+      'sku:in': sku,
+      name,
+      'name:like': name_like,
+      'categories:in': categories,
+      brand_id,
+      price,
+      'price:min': price_min,
+      'price:max': price_max,
+      'weight:min': weight_min,
+      'weight:max': weight_max,
+      inventory_level,
+      'inventory_level:min': inventory_level_min,
+      'inventory_level:max': inventory_level_max,
+      out_of_stock: out_of_stock ? 1 : undefined,
+      is_visible,
+      is_featured,
+      availability,
+      type,
+      date_modified,
+      'date_modified:min': date_modified_min,
+      'date_modified:max': date_modified_max,
+      sort,
+      direction,
+      include,
+      limit: limit ?? (all_pages ? 250 : 50),
+      page
     };
 
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      let errorData;
-      try {
-        errorData = await response.json();
-      } catch (e) {
-        // If JSON parsing fails, use the text response
-        const errorText = await response.text();
-        throw new Error(`HTTP ${response.status}: ${errorText || response.statusText}`);
-      }
-      throw new Error(JSON.stringify(errorData));
+    if (all_pages) {
+      return await fetchAllPages('/v3/catalog/products', {
+        store,
+        query,
+        apiVersion: 'v3',
+        maxPages: max_pages,
+        maxRecords: max_records,
+        bypassCache: bypass_cache
+      });
     }
 
-    // Get response text first to handle empty responses
-    const responseText = await response.text();
-
-    // Check if response is empty
-    if (!responseText || responseText.trim() === '') {
-      return { data: [], meta: { total: 0 } };
-    }
+    const { data } = await bigcommerceRequest('/v3/catalog/products', { store, query, bypassCache: bypass_cache });
 
-    // Parse and return the response data
-    try {
-      const data = JSON.parse(responseText);
-      return data;
-    } catch (parseError) {
-      throw new Error(`Invalid JSON response: ${responseText.substring(0, 200)}...`);
-    }
+    return data ?? { data: [], meta: { total: 0 } };
   } catch (error) {
-    console.error('Error getting all products:', error);
-    return {
-      error: `An error occurred while getting all products: ${error instanceof Error ? error.message : JSON.stringify(error)}`
-    };
+    logger.error('Error getting all products', { error });
+    return toolError('getting all products', error);
   }
 };
 
 /**
- * Tool configuration for getting all products from the API.
+ * Tool configuration for getting all products from the API with optional filtering.
  * @type {Object}
  */
 const apiTool = {
   function: executeFunction,
+  category: 'products',
   definition: {
     type: 'function',
     function: {
       name: 'get_all_products',
-      description: 'Get all products from the BigCommerce API. Store hash is automatically retrieved from environment variables.',
+      description: 'Get all products from the BigCommerce catalog with filtering (keyword, SKU, name, categories, brand, price, weight, inventory, visibility, availability, type, modification dates), sorting and pagination. Uses the default store unless a store alias is given.',
       parameters: {
         type: 'object',
         properties: {
-          store_Hash: {
+          store: {
+            type: 'string',
+            description: 'Optional store alias (see list_stores). If not provided, uses the default store.'
+          },
+          id: {
+            type: 'string',
+            description: 'Filter by product IDs (comma-separated for multiple IDs, e.g., "1,2,3").'
+          },
+          keyword: {
+            type: 'string',
+            description: 'Search products by keyword across name, SKU and description.'
+          },
+          sku: {
+            type: 'string',
+            description: 'Filter by SKU (comma-separated for multiple SKUs).'
+          },
+          name: {
+            type: 'string',
+            description: 'Filter by product name (exact match).'
+          },
+          name_like: {
+            type: 'string',
+            description: 'Filter by product name using partial match (substring search).'
+          },
+          categories: {
+            type: 'string',
+            description: 'Filter by category IDs (comma-separated, matches products in any of the categories).'
+          },
+          brand_id: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Filter by brand ID.'
+          },
+          price: {
+            type: 'number',
+            minimum: 0,
+            description: 'Filter by exact price.'
+          },
+          price_min: {
+            type: 'number',
+            minimum: 0,
+            description: 'Minimum price for filtering.'
+          },
+          price_max: {
+            type: 'number',
+            minimum: 0,
+            description: 'Maximum price for filtering.'
+          },
+          weight_min: {
+            type: 'number',
+            minimum: 0,
+            description: 'Minimum weight for filtering.'
+          },
+          weight_max: {
+            type: 'number',
+            minimum: 0,
+            description: 'Maximum weight for filtering.'
+          },
+          inventory_level: {
+            type: 'integer',
+            minimum: 0,
+            description: 'Filter by exact inventory level (e.g., 0 for products with no stock).'
+          },
+          inventory_level_min: {
+            type: 'integer',
+            minimum: 0,
+            description: 'Minimum inventory level for filtering.'
+          },
+          inventory_level_max: {
+            type: 'integer',
+            minimum: 0,
+            description: 'Maximum inventory level for filtering.'
+          },
+          out_of_stock: {
+            type: 'boolean',
+            description: 'When true, only return products that are out of stock (inventory-tracked products with no stock).'
+          },
+          is_visible: {
+            type: 'boolean',
+            description: 'Filter by storefront visibility.'
+          },
+          is_featured: {
+            type: 'boolean',
+            description: 'Filter by featured flag.'
+          },
+          availability: {
+            type: 'string',
+            enum: ['available', 'disabled', 'preorder'],
+            description: 'Filter by availability (available, disabled, preorder).'
+          },
+          type: {
+            type: 'string',
+            enum: ['physical', 'digital'],
+            description: 'Filter by product type (physical, digital).'
+          },
+          date_modified: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Filter by exact product modification date (ISO format: YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS).'
+          },
+          date_modified_min: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Filter products modified after this date (ISO format: YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS).'
+          },
+          date_modified_max: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Filter products modified before this date (ISO format: YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS).'
+          },
+          sort: {
+            type: 'string',
+            enum: ['id', 'name', 'sku', 'price', 'date_modified', 'date_last_imported', 'inventory_level', 'is_visible', 'total_sold'],
+            description: 'Sort field (id, name, sku, price, date_modified, date_last_imported, inventory_level, is_visible, total_sold).'
+          },
+          direction: {
             type: 'string',
-            description: 'Optional store hash. If not provided, uses BIGCOMMERCE_STORE_HASH from environment variables.'
-          }
+            enum: ['asc', 'desc'],
+            description: 'Sort direction (asc or desc).'
+          },
+          include: {
+            type: 'array',
+            items: { type: 'string', enum: ['variants', 'images', 'custom_fields', 'bulk_pricing_rules', 'primary_image', 'modifiers', 'options', 'videos'] },
+            description: 'Include additional product sub-resources (array or comma-separated string: variants, images, custom_fields, bulk_pricing_rules, primary_image, modifiers, options, videos).'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 250,
+            description: 'Number of results to return (max 250, default 50).'
+          },
+          page: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Page number for pagination (default 1).'
+          },
+          ...fetchAllParameters,
+          ...cacheParameters,
+          ...projectionParameters
         },
-        required: []
-      }
+        required: [],
+        additionalProperties: false
+      },
+      outputSchema: productListOutputSchema
     }
   }
 };
@@ -0,0 +1,80 @@
+/**
+ * Function to get the products of an order from the BigCommerce API.
+ *
+ * @param {Object} args - Arguments for the request.
+ * @param {string} [args.store] - Optional store alias. If not provided, uses the default store.
+ * @param {number} args.order_id - The ID of the order.
+ * @param {number} [args.limit] - Number of results to return (max 250, default 50).
+ * @param {number} [args.page] - Page number for pagination (default 1).
+ * @param {boolean} [args.bypass_cache] - Fetch fresh data instead of a cached response.
+ * @returns {Promise<Array|Object>} - The line items of the order.
+ */
+import { bigcommerceRequest, toolError } from '../../../lib/client.js';
+import { cacheParameters } from '../../../lib/cache.js';
+import { projectionParameters } from '../../../lib/projection.js';
+import { recordListOutputSchema } from '../../../lib/schemas.js';
+import { logger } from '../../../lib/logger.js';
+
+const executeFunction = async ({ store, order_id, limit = 50, page = 1, bypass_cache = false } = {}) => {
+  try {
+    const { data } = await bigcommerceRequest(`/v2/orders/${encodeURIComponent(order_id)}/products`, {
+      store,
+      query: { limit, page },
+      bypassCache: bypass_cache
+    });
+
+    // v2 returns 204 No Content when the order has no products
+    return data ?? [];
+  } catch (error) {
+    logger.error('Error getting order products', { error });
+    return toolError(`getting products for order ${order_id}`, error);
+  }
+};
+
+/**
+ * Tool configuration for getting the products of an order from the BigCommerce API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  category: 'orders',
+  definition: {
+    type: 'function',
+    function: {
+      name: 'get_order_products',
+      description: 'Get the line items (products) of an order from the BigCommerce API, including product ID, SKU, name, quantity, price and selected options.',
+      parameters: {
+        type: 'object',
+        properties: {
+          store: {
+            type: 'string',
+            description: 'Optional store alias (see list_stores). If not provided, uses the default store.'
+          },
+          order_id: {
+            type: 'integer',
+            minimum: 1,
+            description: 'The ID of the order.'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 250,
+            description: 'Number of results to return (max 250, default 50).'
+          },
+          page: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Page number for pagination (default 1).'
+          },
+          ...cacheParameters,
+          ...projectionParameters
+        },
+        required: ['order_id'],
+        additionalProperties: false
+      },
+      outputSchema: recordListOutputSchema('Order line items.')
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,66 @@
+/**
+ * Function to get the payment transactions of an order from the BigCommerce API.
+ *
+ * @param {Object} args - Arguments for the request.
+ * @param {string} [args.store] - Optional store alias. If not provided, uses the default store.
+ * @param {number} args.order_id - The ID of the order.
+ * @param {boolean} [args.bypass_cache] - Fetch fresh data instead of a cached response.
+ * @returns {Promise<Object>} - The transactions recorded against the order.
+ */
+import { bigcommerceRequest, toolError } from '../../../lib/client.js';
+import { cacheParameters } from '../../../lib/cache.js';
+import { projectionParameters } from '../../../lib/projection.js';
+import { recordListOutputSchema } from '../../../lib/schemas.js';
+import { logger } from '../../../lib/logger.js';
+
+const executeFunction = async ({ store, order_id, bypass_cache = false } = {}) => {
+  try {
+    // Transactions are only available through the v3 Orders API
+    const { data } = await bigcommerceRequest(`/v3/orders/${encodeURIComponent(order_id)}/transactions`, {
+      store,
+      bypassCache: bypass_cache
+    });
+
+    return data ?? { data: [], meta: { total: 0 } };
+  } catch (error) {
+    logger.error('Error getting order transactions', { error });
+    return toolError(`getting transactions for order ${order_id}`, error);
+  }
+};
+
+/**
+ * Tool configuration for getting the payment transactions of an order from the BigCommerce API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  category: 'orders',
+  definition: {
+    type: 'function',
+    function: {
+      name: 'get_order_transactions',
+      description: 'Get the payment transactions of an order from the BigCommerce API, including gateway, payment method, amount, status (e.g. purchase, refund, capture) and fraud review details.',
+      parameters: {
+        type: 'object',
+        properties: {
+          store: {
+            type: 'string',
+            description: 'Optional store alias (see list_stores). If not provided, uses the default store.'
+          },
+          order_id: {
+            type: 'integer',
+            minimum: 1,
+            description: 'The ID of the order.'
+          },
+          ...cacheParameters,
+          ...projectionParameters
+        },
+        required: ['order_id'],
+        additionalProperties: false
+      },
+      outputSchema: recordListOutputSchema('Payment transactions (v3 Orders API).')
+    }
+  }
+};
+
+export { apiTool };
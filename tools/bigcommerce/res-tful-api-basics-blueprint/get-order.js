@@ -0,0 +1,63 @@
+/**
+ * Function to get a single order from the BigCommerce API.
+ *
+ * @param {Object} args - Arguments for the request.
+ * @param {string} [args.store] - Optional store alias. If not provided, uses the default store.
+ * @param {number} args.order_id - The ID of the order to retrieve.
+ * @param {boolean} [args.bypass_cache] - Fetch fresh data instead of a cached response.
+ * @returns {Promise<Object>} - The order, including totals, status, billing address and customer details.
+ */
+import { bigcommerceRequest, toolError } from '../../../lib/client.js';
+import { cacheParameters } from '../../../lib/cache.js';
+import { orderOutputSchema } from '../../../lib/schemas.js';
+import { logger } from '../../../lib/logger.js';
+
+const executeFunction = async ({ store, order_id, bypass_cache = false } = {}) => {
+  try {
+    const { data } = await bigcommerceRequest(`/v2/orders/${encodeURIComponent(order_id)}`, {
+      store,
+      bypassCache: bypass_cache
+    });
+
+    return data;
+  } catch (error) {
+    logger.error('Error getting order', { error });
+    return toolError(`getting order ${order_id}`, error);
+  }
+};
+
+/**
+ * Tool configuration for getting a single order from the BigCommerce API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  category: 'orders',
+  definition: {
+    type: 'function',
+    function: {
+      name: 'get_order',
+      description: 'Get a single order by ID from the BigCommerce API, including status, totals, payment details, billing address and customer. Use get_order_products for line items and get_order_shipping_addresses for delivery addresses.',
+      parameters: {
+        type: 'object',
+        properties: {
+          store: {
+            type: 'string',
+            description: 'Optional store alias (see list_stores). If not provided, uses the default store.'
+          },
+          order_id: {
+            type: 'integer',
+            minimum: 1,
+            description: 'The ID of the order to retrieve.'
+          },
+          ...cacheParameters
+        },
+        required: ['order_id'],
+        additionalProperties: false
+      },
+      outputSchema: orderOutputSchema
+    }
+  }
+};
+
+export { apiTool };
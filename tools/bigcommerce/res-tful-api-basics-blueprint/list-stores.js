@@ -0,0 +1,44 @@
+/**
+ * Function to list the BigCommerce stores this server is configured for.
+ *
+ * @returns {Promise<Object>} - The default store alias and each store's alias, hash and default channel.
+ */
+import { describeStores } from '../../../lib/stores.js';
+import { storeListOutputSchema } from '../../../lib/schemas.js';
+import { logger } from '../../../lib/logger.js';
+
+const executeFunction = async () => {
+  try {
+    return describeStores();
+  } catch (error) {
+    logger.error('Error listing stores', { error });
+    return {
+      error: `An error occurred while listing stores: ${error instanceof Error ? error.message : JSON.stringify(error)}`
+    };
+  }
+};
+
+/**
+ * Tool configuration for listing the configured BigCommerce stores.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  category: 'stores',
+  definition: {
+    type: 'function',
+    function: {
+      name: 'list_stores',
+      description: 'List the BigCommerce stores this server can access. Pass a store alias from this list as the store argument of any other tool; the default store is used when none is given.',
+      parameters: {
+        type: 'object',
+        properties: {},
+        required: [],
+        additionalProperties: false
+      },
+      outputSchema: storeListOutputSchema
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,79 @@
+/**
+ * Function to update the status of an order in the BigCommerce API.
+ *
+ * @param {Object} args - Arguments for the request.
+ * @param {string} [args.store] - Optional store alias. If not provided, uses the default store.
+ * @param {number} args.order_id - The ID of the order to update.
+ * @param {number} args.status_id - The new order status ID.
+ * @param {boolean} [args.dry_run] - Return the request that would be sent without sending it.
+ * @returns {Promise<Object>} - The updated order, or the planned request when dry_run is set.
+ */
+import { bigcommerceRequest, describeRequest, toolError } from '../../../lib/client.js';
+import { orderOutputSchema, writeOutputSchema } from '../../../lib/schemas.js';
+import { logger } from '../../../lib/logger.js';
+
+const executeFunction = async ({ store, order_id, status_id, dry_run = false } = {}) => {
+  const path = `/v2/orders/${encodeURIComponent(order_id)}`;
+  const options = {
+    store,
+    method: 'PUT',
+    body: { status_id }
+  };
+
+  try {
+    if (dry_run) {
+      return { dry_run: true, request: describeRequest(path, options) };
+    }
+
+    const { data } = await bigcommerceRequest(path, options);
+    return data;
+  } catch (error) {
+    logger.error('Error updating order status', { error });
+    return toolError(`updating the status of order ${order_id}`, error);
+  }
+};
+
+/**
+ * Tool configuration for updating the status of an order in the BigCommerce API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  category: 'orders',
+  access: 'write',
+  definition: {
+    type: 'function',
+    function: {
+      name: 'update_order_status',
+      description: 'Update the status of an order in BigCommerce (e.g., mark as Awaiting Shipment or Completed). Changing the status may email the customer. Use dry_run to preview the request first. Only available when the server allows writes.',
+      parameters: {
+        type: 'object',
+        properties: {
+          store: {
+            type: 'string',
+            description: 'Optional store alias (see list_stores). If not provided, uses the default store.'
+          },
+          order_id: {
+            type: 'integer',
+            minimum: 1,
+            description: 'The ID of the order to update.'
+          },
+          status_id: {
+            type: 'integer',
+            enum: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14],
+            description: 'The new status ID (e.g., 2=Shipped, 8=Awaiting Pickup, 9=Awaiting Shipment, 10=Completed, 11=Awaiting Fulfillment, 5=Cancelled).'
+          },
+          dry_run: {
+            type: 'boolean',
+            description: 'When true, return the exact request that would be sent without changing the order.'
+          }
+        },
+        required: ['order_id', 'status_id'],
+        additionalProperties: false
+      },
+      outputSchema: writeOutputSchema(orderOutputSchema)
+    }
+  }
+};
+
+export { apiTool };
@@ -1,5 +0,0 @@
-export const toolPaths = [
-  'bigcommerce/res-tful-api-basics-blueprint/get-all-products.js',
-  'bigcommerce/res-tful-api-basics-blueprint/get-all-customers.js',
-  'bigcommerce/res-tful-api-basics-blueprint/get-all-orders.js'
-];